@@ -0,0 +1,170 @@
+import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise.js";
+import { blocks } from "./blocks.js";
+import { RNG } from "./rng.js";
+
+/**
+ * Creates the default biome settings. Each biome is picked where the
+ * temperature and humidity of the world are closest to its own.
+ *  - `terrain` shapes the heightmap the same way as a single-biome world
+ *  - `surfaceBlock` is placed on top of the terrain, followed by
+ *    `subsurfaceDepth` layers of `subsurfaceBlock`, with `fillBlock` below
+ *  - `resources` are the blocks generated underground from 3D noise. Later
+ *    resources replace earlier ones where they overlap.
+ *  - `structures` are grown on the surface block. `density` is the chance
+ *    of the structure growing out of each column.
+ *
+ * This returns plain data so it can be saved, edited in the UI and sent to
+ * the chunk generation workers.
+ * @returns {Object<string, object>}
+ */
+export function createBiomes() {
+  const resource = (blockType, scale, scarcity) => ({
+    id: blockType.id,
+    scale: { x: scale, y: scale, z: scale },
+    scarcity,
+  });
+  const structure = (type, density) => ({ type, density });
+  const resources = () => [
+    resource(blocks.stone, 30, 0.5),
+    resource(blocks.coalOre, 20, 0.8),
+    resource(blocks.ironOre, 60, 0.9),
+  ];
+
+  return {
+    plains: {
+      name: "Plains",
+      temperature: 0.5,
+      humidity: 0.5,
+      terrain: { scale: 30, magnitude: 0.2, offset: 0.5 },
+      surfaceBlock: blocks.grass.id,
+      subsurfaceBlock: blocks.dirt.id,
+      subsurfaceDepth: 3,
+      fillBlock: blocks.dirt.id,
+      resources: resources(),
+      structures: [
+        structure("oakTree", 0.01),
+        structure("tallGrass", 0.15),
+        structure("dandelion", 0.01),
+        structure("rose", 0.01),
+      ],
+    },
+    desert: {
+      name: "Desert",
+      temperature: 0.85,
+      humidity: 0.2,
+      terrain: { scale: 50, magnitude: 0.1, offset: 0.5 },
+      surfaceBlock: blocks.sand.id,
+      subsurfaceBlock: blocks.sand.id,
+      subsurfaceDepth: 4,
+      fillBlock: blocks.stone.id,
+      resources: [
+        resource(blocks.coalOre, 20, 0.85),
+        resource(blocks.ironOre, 40, 0.8),
+      ],
+      structures: [structure("cactus", 0.006), structure("deadBush", 0.006)],
+    },
+    mountains: {
+      name: "Mountains",
+      temperature: 0.3,
+      humidity: 0.25,
+      terrain: { scale: 25, magnitude: 0.45, offset: 0.6 },
+      surfaceBlock: blocks.gravel.id,
+      subsurfaceBlock: blocks.stone.id,
+      subsurfaceDepth: 2,
+      fillBlock: blocks.stone.id,
+      resources: [
+        resource(blocks.coalOre, 15, 0.7),
+        resource(blocks.ironOre, 30, 0.75),
+      ],
+      structures: [],
+    },
+    tundra: {
+      name: "Tundra",
+      temperature: 0.15,
+      humidity: 0.5,
+      terrain: { scale: 40, magnitude: 0.15, offset: 0.5 },
+      surfaceBlock: blocks.snow.id,
+      subsurfaceBlock: blocks.dirt.id,
+      subsurfaceDepth: 3,
+      fillBlock: blocks.dirt.id,
+      resources: resources(),
+      structures: [structure("oakTree", 0.004)],
+    },
+    ocean: {
+      name: "Ocean",
+      temperature: 0.6,
+      humidity: 0.85,
+      terrain: { scale: 40, magnitude: 0.1, offset: 0.3 },
+      surfaceBlock: blocks.gravel.id,
+      subsurfaceBlock: blocks.sand.id,
+      subsurfaceDepth: 3,
+      fillBlock: blocks.dirt.id,
+      resources: resources(),
+      structures: [],
+    },
+  };
+}
+
+/**
+ * Picks the biomes across the world from temperature and humidity noise.
+ * Near the borders between biomes several biomes contribute to the terrain,
+ * each weighted by how close its climate is to the climate at that point,
+ * so their heights blend into each other smoothly.
+ */
+export class BiomeMap {
+  /**
+   * @param {object} params World generation parameters
+   * @param {RNG} rng Random number generator
+   */
+  constructor(params, rng) {
+    this.params = params;
+    this.biomes = Object.values(params.biomes);
+    this.temperatureNoise = new SimplexNoise(rng);
+    this.humidityNoise = new SimplexNoise(rng);
+  }
+
+  /**
+   * Returns the temperature and humidity at (x, z), both between 0 and 1
+   * @param {number} x
+   * @param {number} z
+   * @returns {{ temperature: number, humidity: number }}
+   */
+  getClimate(x, z) {
+    const { biomeScale } = this.params.terrain;
+    return {
+      temperature:
+        (this.temperatureNoise.noise(x / biomeScale, z / biomeScale) + 1) / 2,
+      humidity:
+        (this.humidityNoise.noise(x / biomeScale, z / biomeScale) + 1) / 2,
+    };
+  }
+
+  /**
+   * Returns how much each biome contributes at (x, z), in the same order as
+   * `biomes`, along with the biome that contributes the most. The weights
+   * add up to 1.
+   * @param {number} x
+   * @param {number} z
+   * @returns {{ biome: object, weights: number[] }}
+   */
+  sample(x, z) {
+    const { temperature, humidity } = this.getClimate(x, z);
+
+    const distances = this.biomes.map(
+      (biome) =>
+        (biome.temperature - temperature) ** 2 +
+        (biome.humidity - humidity) ** 2
+    );
+    const closest = Math.min(...distances);
+
+    // Weights are relative to the closest biome so they can't all round to 0
+    const blend = Math.max(this.params.terrain.biomeBlend, 0.001) ** 2;
+    const weights = distances.map((d) => Math.exp(-(d - closest) / blend));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return {
+      biome: this.biomes[distances.indexOf(closest)],
+      weights: weights.map((weight) => weight / total),
+    };
+  }
+}
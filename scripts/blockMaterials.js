@@ -0,0 +1,214 @@
+import * as THREE from "three";
+import { blocks, missingBlock } from "./blocks.js";
+import { faces } from "./chunkMesher.js";
+import { TGALoader } from "three/examples/jsm/loaders/TGALoader.js";
+import {
+  createMissingTexture,
+  getTexturePath,
+  missingTexture,
+  TextureAtlas,
+} from "./textureAtlas.js";
+import {
+  isAnimationStrip,
+  loadAnimationSettings,
+  TextureAnimation,
+} from "./textureAnimation.js";
+
+const textureLoader = new THREE.TextureLoader();
+const tgaLoader = new TGALoader();
+
+function loadTexture(name) {
+  const path = getTexturePath(name);
+  const onError = () => {
+    console.error(`Failed to load texture "${name}"`);
+    texture.image = createMissingTexture();
+    texture.needsUpdate = true;
+  };
+
+  let texture;
+  if (name === missingTexture) {
+    texture = new THREE.CanvasTexture(createMissingTexture());
+  } else if (path.endsWith(".tga")) {
+    texture = tgaLoader.load(
+      path,
+      (texture) => {
+        // The TGA loader sets its own filtering once the file is loaded
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        texture.generateMipmaps = false;
+      },
+      undefined,
+      onError
+    );
+  } else {
+    texture = textureLoader.load(
+      path,
+      (texture) => {
+        if (isAnimationStrip(texture.image)) animateTexture(texture, name);
+      },
+      undefined,
+      onError
+    );
+  }
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.NearestFilter;
+  texture.minFilter = THREE.NearestFilter;
+  return texture;
+}
+
+/**
+ * Returns the texture name for each of the six faces of a block type
+ * @param {object} blockType
+ * @returns {string[]}
+ */
+function getFaceTextures(blockType) {
+  if (Array.isArray(blockType.faceTextures)) return blockType.faceTextures;
+  return faces.map(() => blockType.faceTextures);
+}
+
+// Blocks with ids that aren't defined are drawn as the missing block, so
+// it gets materials and tiles like every other block
+const blockTypes = [
+  ...Object.values(blocks).filter(
+    (blockType) => blockType.id !== blocks.empty.id
+  ),
+  missingBlock,
+];
+
+/**
+ * Animated textures used by the block materials, each drawn onto its own
+ * canvas by an animation
+ * @type {{
+ *  texture: THREE.Texture,
+ *  animation: TextureAnimation,
+ *  context: CanvasRenderingContext2D
+ * }[]}
+ */
+const animatedTextures = [];
+
+/**
+ * Replaces the image of a texture that was loaded as an animation strip
+ * with a canvas showing one frame at a time
+ * @param {THREE.Texture} texture
+ * @param {string} name
+ */
+async function animateTexture(texture, name) {
+  const image = texture.image;
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.width;
+  const context = canvas.getContext("2d");
+  context.drawImage(image, 0, 0);
+  texture.image = canvas;
+  texture.needsUpdate = true;
+
+  const settings =
+    textureAnimations[name] ??
+    (await loadAnimationSettings(getTexturePath(name))) ??
+    undefined;
+  animatedTextures.push({
+    texture,
+    animation: new TextureAnimation(image, settings),
+    context,
+  });
+}
+
+// Opacity of translucent blocks such as water
+const translucentOpacity = 0.8;
+
+/**
+ * Animation settings from the block definitions, keyed by texture name.
+ * A block's settings apply to every animated texture it uses.
+ * @type {Object<string, import("./textureAnimation.js").AnimationSettings>}
+ */
+const textureAnimations = {};
+for (const blockType of blockTypes) {
+  if (!blockType.animation) continue;
+  for (const name of getFaceTextures(blockType)) {
+    textureAnimations[name] ??= blockType.animation;
+  }
+}
+
+// Textures are shared between blocks that use the same image
+const textures = {};
+for (const name of blockTypes.flatMap(getFaceTextures)) {
+  textures[name] ??= loadTexture(name);
+}
+
+/**
+ * Materials used to draw each block type as a cube instance, keyed by
+ * block id. Blocks with a different texture per face have one material
+ * per face. Blocks that aren't defined use the material of `missingBlock`.
+ * @type {Object<number, THREE.Material | THREE.Material[]>}
+ */
+export const blockMaterials = {};
+for (const blockType of blockTypes) {
+  const materials = getFaceTextures(blockType).map(
+    (name) =>
+      new THREE.MeshLambertMaterial({
+        map: textures[name],
+        alphaTest: blockType.transparent ? 0.5 : 0,
+        // Translucent blocks are also seen from the inside, e.g. when
+        // looking up at the surface of the water from under water
+        side:
+          blockType.shape === "cross" || blockType.translucent
+            ? THREE.DoubleSide
+            : THREE.FrontSide,
+        transparent: blockType.translucent ?? false,
+        opacity: blockType.translucent ? translucentOpacity : 1,
+        depthWrite: !blockType.translucent,
+      })
+  );
+  blockMaterials[blockType.id] = Array.isArray(blockType.faceTextures)
+    ? materials
+    : materials[0];
+}
+
+export const atlas = new TextureAtlas(
+  blockTypes.flatMap(getFaceTextures),
+  16,
+  textureAnimations
+);
+
+/**
+ * Shows the frame of every animated block texture for `time`. Only the
+ * textures are updated, so nothing has to be meshed again.
+ * @param {number} time Time in seconds
+ */
+export function updateBlockTextures(time) {
+  atlas.update(time);
+  for (const { texture, animation, context } of animatedTextures) {
+    if (animation.update(time)) {
+      animation.draw(context, 0, 0, context.canvas.width);
+      texture.needsUpdate = true;
+    }
+  }
+}
+
+/**
+ * Material used to draw greedy-meshed chunks
+ */
+export const atlasMaterial = atlas.createMaterial();
+
+/**
+ * Material used to draw the faces of translucent blocks in greedy-meshed
+ * chunks. These are drawn after the opaque blocks and blended over them.
+ */
+export const translucentAtlasMaterial = atlas.createMaterial();
+translucentAtlasMaterial.side = THREE.DoubleSide;
+translucentAtlasMaterial.transparent = true;
+translucentAtlasMaterial.opacity = translucentOpacity;
+translucentAtlasMaterial.depthWrite = false;
+
+/**
+ * Atlas tile for each face of each block type, keyed by block id. Blocks
+ * that aren't defined use the tiles of `missingBlock`. This is plain data
+ * so it can be sent to the chunk generation workers.
+ * @type {Object<number, number[]>}
+ */
+export const blockFaceTiles = {};
+for (const blockType of blockTypes) {
+  blockFaceTiles[blockType.id] = getFaceTextures(blockType).map((name) =>
+    atlas.getTile(name)
+  );
+}
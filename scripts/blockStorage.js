@@ -0,0 +1,163 @@
+/**
+ * Returns the index of the block at (x, y, z) in the block ids of a chunk,
+ * which are ordered by x, then y, then z
+ * @param {{ width: number, height: number }} size
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number}
+ */
+export function getBlockIndex(size, x, y, z) {
+  return (x * size.height + y) * size.width + z;
+}
+
+/**
+ * Returns the range of y coordinates covered by each of the vertical
+ * sections of a chunk, from the bottom up. The top section is shorter
+ * if the chunk height isn't a multiple of the section height.
+ * @param {{ height: number, sectionHeight: number }} size
+ * @returns {{ minY: number, maxY: number }[]} `maxY` is exclusive
+ */
+export function getSectionBounds(size) {
+  const bounds = [];
+  for (let minY = 0; minY < size.height; minY += size.sectionHeight) {
+    bounds.push({
+      minY,
+      maxY: Math.min(minY + size.sectionHeight, size.height),
+    });
+  }
+  return bounds;
+}
+
+/**
+ * Flat storage for the block ids of a chunk section, ordered by x, then y,
+ * then z.
+ *
+ * With palette compression enabled, each block stores an index into a
+ * palette of the block ids that appear in the section. Sections only ever
+ * contain a handful of block types, so the indices fit in a Uint8Array
+ * (half the size of storing the ids directly). If the palette grows past
+ * 256 entries, the indices are widened to a Uint16Array.
+ *
+ * Without palette compression, the ids are stored directly in a Uint16Array.
+ */
+export class BlockStorage {
+  /**
+   * Block ids that appear in the section, or null if palette compression is
+   * disabled
+   * @type {number[] | null}
+   */
+  palette = null;
+
+  /**
+   * Index of each block id in the palette
+   * @type {Map<number, number> | null}
+   */
+  paletteIndices = null;
+
+  /**
+   * @param {{ width: number, height: number }} size
+   * @param {boolean} usePalette
+   */
+  constructor(size, usePalette = true) {
+    this.size = size;
+    this.length = size.width * size.width * size.height;
+
+    if (usePalette) {
+      // Palette index 0 is always the empty block so new storage is empty
+      this.palette = [0];
+      this.paletteIndices = new Map([[0, 0]]);
+      this.values = new Uint8Array(this.length);
+    } else {
+      this.values = new Uint16Array(this.length);
+    }
+  }
+
+  /**
+   * Returns the index of the block at (x, y, z). The coordinates must be in
+   * bounds.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number}
+   */
+  getIndex(x, y, z) {
+    return getBlockIndex(this.size, x, y, z);
+  }
+
+  /**
+   * Returns the id of the block at `index`
+   * @param {number} index
+   * @returns {number}
+   */
+  get(index) {
+    const value = this.values[index];
+    return this.palette ? this.palette[value] : value;
+  }
+
+  /**
+   * Sets the id of the block at `index`
+   * @param {number} index
+   * @param {number} blockId
+   */
+  set(index, blockId) {
+    this.values[index] = this.palette ? this.getPaletteIndex(blockId) : blockId;
+  }
+
+  /**
+   * Returns the palette index of `blockId`, adding it to the palette if needed
+   * @param {number} blockId
+   * @returns {number}
+   */
+  getPaletteIndex(blockId) {
+    let paletteIndex = this.paletteIndices.get(blockId);
+
+    if (paletteIndex === undefined) {
+      paletteIndex = this.palette.length;
+      this.palette.push(blockId);
+      this.paletteIndices.set(blockId, paletteIndex);
+
+      // Widen the indices once they no longer fit in a byte
+      if (paletteIndex > 0xff && this.values instanceof Uint8Array) {
+        this.values = Uint16Array.from(this.values);
+      }
+    }
+
+    return paletteIndex;
+  }
+
+  /**
+   * Replaces every block with the ids in `blockIds`
+   * @param {Uint16Array} blockIds
+   */
+  load(blockIds) {
+    if (!this.palette) {
+      this.values.set(blockIds);
+      return;
+    }
+
+    // Rebuild the palette so ids that are no longer used are dropped
+    this.palette = [0];
+    this.paletteIndices = new Map([[0, 0]]);
+    this.values = new Uint8Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      this.values[i] = this.getPaletteIndex(blockIds[i]);
+    }
+  }
+
+  /**
+   * Returns the id of every block
+   * @returns {Uint16Array}
+   */
+  toArray() {
+    if (!this.palette) {
+      return this.values.slice();
+    }
+
+    const blockIds = new Uint16Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      blockIds[i] = this.palette[this.values[i]];
+    }
+    return blockIds;
+  }
+}
@@ -1,71 +1,136 @@
-import * as THREE from "three";
+import blockDefinitions from "./blocks.json";
 
-const textureLoader = new THREE.TextureLoader();
+/**
+ * Block types, keyed by the names used to refer to them in code. They are
+ * defined in `blocks.json`:
+ *  - `id` is the number the block is stored as in chunks and saves, so it
+ *    must never change once a block has been added
+ *  - `color` is a CSS hex color that roughly matches the block's texture
+ *  - `faceTextures` names the texture for each face (in the same order as
+ *    the material groups of THREE.BoxGeometry), or a single texture used for
+ *    every face. The materials and texture atlas are built from these in
+ *    `blockMaterials.js`. Textures are PNG files unless their name ends in
+ *    another extension.
+ *  - `animation` sets how the block's animated textures are played, in the
+ *    same format as the `animation` section of an `.mcmeta` file (see
+ *    `textureAnimation.js`). Animated textures are vertical strips of
+ *    frames. Textures that aren't animated by any block definition use the
+ *    `.mcmeta` file next to them, if there is one.
+ *  - `transparent` blocks have see-through parts, so the faces of the blocks
+ *    next to them are still drawn
+ *  - `translucent` blocks are partly see-through, so they are blended over
+ *    the blocks behind them. The faces between two blocks of the same
+ *    translucent type aren't drawn.
+ *  - `shape` is "cross" for plants, which are drawn as two diagonal quads
+ *    using their first face texture instead of as a cube
+ *  - `solid` is false for blocks the player can walk through
+ *  - `fluid` names the fluid a block is part of. `level` is 0 for the source
+ *    blocks of the fluid, and counts up the further the fluid has flowed
+ *    from its source. See `fluids.js`.
+ *  - `flowing` adds a block for each level of a flowing fluid, with ids
+ *    counting up from `firstId`. They look and behave like the source block.
+ *  - `lightLevel` is the light the block gives off, from 0 to 15
+ *  - `hardness` is how long the block takes to break (in seconds), or -1 if
+ *    it can't be broken
+ *  - `drops` names the block that is dropped when the block is broken, or
+ *    is null if nothing is. Blocks drop themselves if it is left out.
+ *
+ * Once loaded, `color` is a number and `drops` is the id of the dropped
+ * block (or null), and each block type also has its `key`.
+ *
+ * This module only contains plain data so that it can also be used by the
+ * chunk generation workers.
+ * @type {Object<string, object>}
+ */
+export const blocks = {};
 
-function loadTexture(path) {
-  const texture = textureLoader.load(path);
-  texture.colorSpace = THREE.SRGBColorSpace;
-  texture.magFilter = THREE.NearestFilter;
-  texture.minFilter = THREE.NearestFilter;
-  return texture;
-}
-const textures = {
-  grass: loadTexture("textures/grass.png"),
-  grassSide: loadTexture("textures/grass_side.png"),
-  dirt: loadTexture("textures/dirt.png"),
-  stone: loadTexture("textures/stone.png"),
-  coalOre: loadTexture("textures/coal_ore.png"),
-  ironOre: loadTexture("textures/iron_ore.png"),
-};
+/**
+ * Block types indexed by id
+ * @type {object[]}
+ */
+const blockTypesById = [];
 
-export const blocks = {
-  empty: {
-    id: 0,
-    name: "empty",
-  },
-  grass: {
-    id: 1,
-    name: "grass",
-    color: 0x559020,
-    material: [
-      new THREE.MeshLambertMaterial({ map: textures.grassSide }),
-      new THREE.MeshLambertMaterial({ map: textures.grassSide }),
-      new THREE.MeshLambertMaterial({ map: textures.grass }),
-      new THREE.MeshLambertMaterial({ map: textures.dirt }),
-      new THREE.MeshLambertMaterial({ map: textures.grassSide }),
-      new THREE.MeshLambertMaterial({ map: textures.grassSide }),
-    ],
-  },
-  dirt: {
-    id: 2,
-    name: "dirt",
-    color: 0x807020,
-    material: new THREE.MeshLambertMaterial({ map: textures.dirt }),
-  },
-  stone: {
-    id: 3,
-    name: "stone",
-    color: 0x808080,
-    scale: { x: 30, y: 30, z: 30 },
-    scarcity: 0.5,
-    material: new THREE.MeshLambertMaterial({ map: textures.stone }),
-  },
-  coalOre: {
-    id: 4,
-    name: "coal ore",
-    color: 0x202020,
-    scale: { x: 20, y: 20, z: 20 },
-    scarcity: 0.8,
-    material: new THREE.MeshLambertMaterial({ map: textures.coalOre }),
-  },
-  ironOre: {
-    id: 5,
-    name: "iron ore",
-    color: 0x806060,
-    scale: { x: 60, y: 60, z: 60 },
-    scarcity: 0.9,
-    material: new THREE.MeshLambertMaterial({ map: textures.ironOre }),
-  },
+/**
+ * Stands in for blocks whose id isn't defined, e.g. in a world saved with
+ * a different set of blocks, so they are drawn with a texture that stands
+ * out instead of breaking the chunk they are in. "missing" is a texture
+ * that is drawn by the texture atlas rather than loaded.
+ */
+export const missingBlock = {
+  id: -1,
+  key: "missing",
+  name: "missing block",
+  color: 0xf800f8,
+  faceTextures: "missing",
+  hardness: 1,
+  drops: null,
 };
 
-export const resources = [blocks.stone, blocks.coalOre, blocks.ironOre];
+/**
+ * Returns the block type with the id `id`, or `missingBlock` if there isn't
+ * one
+ * @param {number} id
+ * @returns {object}
+ */
+export function getBlockType(id) {
+  return blockTypesById[id] ?? missingBlock;
+}
+
+/**
+ * Adds a block type to the registry
+ * @param {string} key
+ * @param {object} blockType
+ */
+function registerBlock(key, blockType) {
+  if (!Number.isInteger(blockType.id) || blockType.id < 0) {
+    throw new Error(`Block "${key}" has an invalid id ${blockType.id}`);
+  }
+  if (blockTypesById[blockType.id]) {
+    throw new Error(
+      `Block "${key}" has the same id (${blockType.id}) as block "${
+        blockTypesById[blockType.id].key
+      }"`
+    );
+  }
+
+  blocks[key] = blockType;
+  blockTypesById[blockType.id] = blockType;
+}
+
+for (const [key, definition] of Object.entries(blockDefinitions)) {
+  const { flowing, ...blockType } = definition;
+  blockType.key = key;
+  if (blockType.color !== undefined) {
+    blockType.color = parseInt(blockType.color.slice(1), 16);
+  }
+  registerBlock(key, blockType);
+
+  if (flowing) {
+    for (let level = 1; level <= flowing.levels; level++) {
+      const flowingKey = `flowing${key[0].toUpperCase()}${key.slice(1)}${level}`;
+      registerBlock(flowingKey, {
+        ...blockType,
+        id: flowing.firstId + level - 1,
+        key: flowingKey,
+        name: `flowing ${blockType.name} ${level}`,
+        level,
+      });
+    }
+  }
+}
+
+// Drops are named by key in the definitions, since ids aren't known until
+// every block has been registered
+for (const blockType of Object.values(blocks)) {
+  if (blockType.drops === undefined) {
+    blockType.drops = blockType.id;
+  } else if (blockType.drops !== null) {
+    const dropped = blocks[blockType.drops];
+    if (!dropped) {
+      throw new Error(
+        `Block "${blockType.key}" drops unknown block "${blockType.drops}"`
+      );
+    }
+    blockType.drops = dropped.id;
+  }
+}
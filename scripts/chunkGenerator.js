@@ -0,0 +1,395 @@
+import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise.js";
+import { RNG } from "./rng.js";
+import { blocks } from "./blocks.js";
+import { getBlockIndex } from "./blockStorage.js";
+import { BiomeMap } from "./biomes.js";
+import { FractalNoise } from "./fractalNoise.js";
+import {
+  createColumnRNG,
+  maxStructureRadius,
+  structures,
+} from "./structures.js";
+
+/**
+ * Everything needed to generate the block data of a chunk. This is plain
+ * data so it can be sent to the chunk generation workers, which guarantees
+ * the same result whether a chunk is generated on the main thread or not.
+ * @typedef {{
+ *  size: { width: number, height: number, sectionHeight: number },
+ *  params: object,
+ *  position: { x: number, y: number, z: number },
+ *  savedData?: Uint16Array,
+ *  changes: { x: number, y: number, z: number, blockId: number }[]
+ * }} ChunkGenerationOptions
+ */
+
+/**
+ * Generates the id of every block in a chunk
+ * @param {ChunkGenerationOptions} options
+ * @returns {Uint16Array}
+ */
+export function generateChunkData({
+  size,
+  params,
+  position,
+  savedData,
+  changes,
+}) {
+  const blockIds = new Uint16Array(size.width ** 2 * size.height);
+
+  if (savedData?.length === blockIds.length) {
+    blockIds.set(savedData);
+  } else {
+    const generator = new TerrainGenerator(size, params);
+    generator.generateTerrain(blockIds, position);
+    generator.generateStructures(blockIds, position);
+  }
+
+  // Apply the changes the player has made on top of the generated terrain.
+  // Changes above the top of the chunk were made while it was taller.
+  for (const { x, y, z, blockId } of changes) {
+    if (y >= size.height) continue;
+    blockIds[getBlockIndex(size, x, y, z)] = blockId;
+  }
+
+  return blockIds;
+}
+
+/**
+ * Generates the terrain one column of blocks at a time. Every column only
+ * depends on the world parameters and its own position, so the terrain of
+ * a neighboring chunk can be looked at without generating the whole chunk.
+ */
+class TerrainGenerator {
+  /**
+   * @param {{ width: number, height: number }} size
+   * @param {object} params
+   */
+  constructor(size, params) {
+    this.size = size;
+    this.params = params;
+
+    // The noise is created in the same order every time so the terrain
+    // is the same for a given seed
+    const rng = new RNG(params.seed);
+    this.biomeMap = new BiomeMap(params, rng);
+
+    // Each type of resource has its own noise, so its veins line up across
+    // biomes that both contain it
+    const resourceIds = new Set(
+      Object.values(params.biomes).flatMap((biome) =>
+        biome.resources.map(({ id }) => id)
+      )
+    );
+    this.resourceNoises = new Map();
+    for (const id of [...resourceIds].sort((a, b) => a - b)) {
+      this.resourceNoises.set(id, new SimplexNoise(rng));
+    }
+
+    this.heightNoise = new FractalNoise(rng, params.terrain);
+    this.overhangNoise = new FractalNoise(rng, params.terrain);
+    this.caveNoiseA = new SimplexNoise(rng);
+    this.caveNoiseB = new SimplexNoise(rng);
+    this.ravineNoise = new SimplexNoise(rng);
+
+    // Reused for every column to avoid allocating
+    this.column = new Uint16Array(size.height);
+  }
+
+  /**
+   * Generates the terrain of a chunk
+   * @param {Uint16Array} blockIds
+   * @param {{ x: number, y: number, z: number }} position
+   */
+  generateTerrain(blockIds, position) {
+    for (let x = 0; x < this.size.width; x++) {
+      for (let z = 0; z < this.size.width; z++) {
+        const column = this.generateColumn(position.x + x, position.z + z);
+        for (let y = 0; y < this.size.height; y++) {
+          blockIds[getBlockIndex(this.size, x, y, z)] = column[y];
+        }
+      }
+    }
+  }
+
+  /**
+   * Generates the ids of the blocks in the column at (x, z), from the
+   * bottom of the world up. The array is reused by the next call.
+   * @param {number} x
+   * @param {number} z
+   * @returns {Uint16Array}
+   */
+  generateColumn(x, z) {
+    const { biome, weights } = this.biomeMap.sample(x, z);
+    this.column.fill(blocks.empty.id);
+    this.generateResources(x, z, biome);
+    this.generateTerrainColumn(x, z, biome, weights);
+    return this.column;
+  }
+
+  /**
+   * Generates the resources of the biome in the column at (x, z)
+   * @param {number} x
+   * @param {number} z
+   * @param {object} biome
+   */
+  generateResources(x, z, biome) {
+    for (const resource of biome.resources) {
+      const simplex = this.resourceNoises.get(resource.id);
+      for (let y = 0; y < this.size.height; y++) {
+        const n = simplex.noise3d(
+          x / resource.scale.x,
+          y / resource.scale.y,
+          z / resource.scale.z
+        );
+
+        if (n > resource.scarcity) {
+          this.column[y] = resource.id;
+        }
+      }
+    }
+  }
+
+  /**
+   * Generates the terrain in the column at (x, z). The terrain is shaped by
+   * a fractal heightmap that is bent into overhangs by a 3D density field,
+   * then caves and ravines are carved out of it. Finally, anything below
+   * sea level that is open to the sky is filled with water.
+   * @param {number} x
+   * @param {number} z
+   * @param {object} biome Biome that contributes the most to the column
+   * @param {number[]} weights How much each biome contributes to the column
+   */
+  generateTerrainColumn(x, z, biome, weights) {
+    const { terrain, caves, ravines, seaLevel } = this.params;
+    const column = this.column;
+
+    // Blend the height each biome would have at this location
+    let scaledNoise = 0;
+    this.biomeMap.biomes.forEach(({ terrain }, i) => {
+      // Compute noise value at this x-z location
+      const value = this.heightNoise.noise(
+        x / terrain.scale,
+        z / terrain.scale
+      );
+
+      // Scale noise based on the magnitude and add in the offset
+      scaledNoise += weights[i] * (terrain.offset + terrain.magnitude * value);
+    });
+
+    // Compute final height of terrain at this location
+    let height = this.size.height * scaledNoise;
+
+    // Clamp between 0 and max height
+    height = Math.max(0, Math.min(Math.floor(height), this.size.height - 1));
+
+    // Ravines cut into the terrain where the ravine noise is close to 0,
+    // deepest along the middle of the ravine
+    const ravineValue = Math.abs(
+      this.ravineNoise.noise(x / ravines.scale, z / ravines.scale)
+    );
+    const ravineBottom =
+      ravineValue < ravines.width
+        ? height - ravines.depth * (1 - ravineValue / ravines.width)
+        : Infinity;
+
+    // Number of solid blocks between this block and the nearest empty
+    // block above it, so overhangs get a surface block on top as well
+    let depth = -1;
+    for (let y = this.size.height - 1; y >= 0; y--) {
+      // Blocks are solid where the density is positive. The density is
+      // the distance below the heightmap, pushed up or down by 3D noise
+      // close to the surface.
+      let density = height + 0.5 - y;
+      if (Math.abs(density) <= terrain.overhangStrength) {
+        density +=
+          terrain.overhangStrength *
+          this.overhangNoise.noise3d(
+            x / terrain.overhangScale,
+            y / terrain.overhangScale,
+            z / terrain.overhangScale
+          );
+      }
+
+      if (density <= 0) {
+        // Clear everything above the terrain
+        depth = -1;
+        column[y] = blocks.empty.id;
+        continue;
+      }
+
+      depth++;
+      if (depth === 0) {
+        // Ground under water is covered by the subsurface block instead
+        column[y] = y < seaLevel ? biome.subsurfaceBlock : biome.surfaceBlock;
+        // Fill in blocks below if they aren't already filled with something else
+      } else if (column[y] === blocks.empty.id) {
+        column[y] =
+          depth <= biome.subsurfaceDepth
+            ? biome.subsurfaceBlock
+            : biome.fillBlock;
+      }
+
+      if (y >= caves.minHeight && (y > ravineBottom || this.isCave(x, y, z))) {
+        column[y] = blocks.empty.id;
+      }
+    }
+
+    // Fill the open space above the ground with water up to sea level
+    for (
+      let y = Math.min(seaLevel, this.size.height - 1);
+      y >= 0 && column[y] === blocks.empty.id;
+      y--
+    ) {
+      column[y] = blocks.water.id;
+    }
+  }
+
+  /**
+   * Returns true if the block at (x, y, z) is inside a cave. Caves are the
+   * tunnels where two 3D noise fields are both close to 0.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {boolean}
+   */
+  isCave(x, y, z) {
+    const { scale, size } = this.params.caves;
+
+    const a = this.caveNoiseA.noise3d(x / scale, y / scale, z / scale);
+    if (Math.abs(a) >= size) return false;
+
+    const b = this.caveNoiseB.noise3d(x / scale, y / scale, z / scale);
+    return a * a + b * b < size * size;
+  }
+
+  /**
+   * Grows the structures of each biome (trees, plants, etc.) on top of the
+   * terrain of a chunk. Structures growing out of the neighboring chunks
+   * are included as well, so structures that straddle a chunk border are
+   * placed in both chunks.
+   * @param {Uint16Array} blockIds Block ids of the chunk's terrain
+   * @param {{ x: number, y: number, z: number }} position
+   */
+  generateStructures(blockIds, position) {
+    const { width, height } = this.size;
+
+    // Find where every structure goes before placing any of them, so
+    // placed structures don't change where other structures go
+    const placements = [];
+    for (
+      let x = position.x - maxStructureRadius;
+      x < position.x + width + maxStructureRadius;
+      x++
+    ) {
+      for (
+        let z = position.z - maxStructureRadius;
+        z < position.z + width + maxStructureRadius;
+        z++
+      ) {
+        const placement = this.pickStructure(x, z);
+        if (!placement) continue;
+
+        // Skip structures that don't reach into the chunk
+        const { radius } = placement.structure;
+        if (
+          x + radius < position.x ||
+          x - radius >= position.x + width ||
+          z + radius < position.z ||
+          z - radius >= position.z + width
+        ) {
+          continue;
+        }
+
+        const groundY = this.getGroundHeight(blockIds, position, x, z);
+        const groundId = groundY >= 0 ? this.column[groundY] : blocks.empty.id;
+        if (groundId !== placement.biome.surfaceBlock) continue;
+
+        placements.push({ ...placement, x, y: groundY + 1, z });
+      }
+    }
+
+    for (const { structure, rng, x, y, z } of placements) {
+      structure.generate((dx, dy, dz, blockId) => {
+        const blockX = x + dx - position.x;
+        const blockY = y + dy;
+        const blockZ = z + dz - position.z;
+        if (
+          blockX < 0 ||
+          blockX >= width ||
+          blockY < 0 ||
+          blockY >= height ||
+          blockZ < 0 ||
+          blockZ >= width
+        ) {
+          return;
+        }
+
+        // Structures only grow into empty space
+        const index = getBlockIndex(this.size, blockX, blockY, blockZ);
+        if (blockIds[index] === blocks.empty.id) {
+          blockIds[index] = blockId;
+        }
+      }, rng);
+    }
+  }
+
+  /**
+   * Decides which structure grows out of the column at (x, z), if any
+   * @param {number} x
+   * @param {number} z
+   * @returns {{ structure: object, biome: object, rng: RNG } | null}
+   */
+  pickStructure(x, z) {
+    const { biome } = this.biomeMap.sample(x, z);
+    const rng = createColumnRNG(this.params.seed, x, z);
+
+    // Each structure takes up a slice of the range [0, 1) as big as its density
+    const roll = rng.random();
+    let total = 0;
+    for (const { type, density } of biome.structures) {
+      total += density;
+      if (roll < total) {
+        const structure = structures[type];
+        return structure ? { structure, biome, rng } : null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Finds the highest non-empty block of the terrain in the column at (x, z).
+   * Afterwards, `column` contains the ids of the blocks in the column.
+   * @param {Uint16Array} blockIds Block ids of the chunk's terrain
+   * @param {{ x: number, y: number, z: number }} position
+   * @param {number} x
+   * @param {number} z
+   * @returns {number} The y coordinate of the block, or -1 if the column is
+   * empty
+   */
+  getGroundHeight(blockIds, position, x, z) {
+    const blockX = x - position.x;
+    const blockZ = z - position.z;
+
+    // Columns in the chunk have already been generated, but the columns of
+    // the neighboring chunks have to be generated again
+    if (
+      blockX >= 0 &&
+      blockX < this.size.width &&
+      blockZ >= 0 &&
+      blockZ < this.size.width
+    ) {
+      for (let y = 0; y < this.size.height; y++) {
+        this.column[y] = blockIds[getBlockIndex(this.size, blockX, y, blockZ)];
+      }
+    } else {
+      this.generateColumn(x, z);
+    }
+
+    for (let y = this.size.height - 1; y >= 0; y--) {
+      if (this.column[y] !== blocks.empty.id) return y;
+    }
+    return -1;
+  }
+}
@@ -0,0 +1,410 @@
+import * as THREE from "three";
+import { WorldChunk } from "./worldChunk.js";
+import { ChunkWorkerPool } from "./chunkWorkerPool.js";
+import { Player } from "./player.js";
+
+const frustum = new THREE.Frustum();
+const projectionMatrix = new THREE.Matrix4();
+const chunkBounds = new THREE.Box3();
+
+/**
+ * Keeps track of the chunks that are loaded around the player. Chunks that
+ * need to be loaded are queued and started in order of priority: nearest
+ * to the player first, with chunks in front of the camera ahead of the
+ * chunks behind it. The main thread work of loading chunks is spread over
+ * multiple frames so it never takes more than `frameBudget` per frame.
+ */
+export class ChunkManager {
+  /**
+   * Loaded and loading chunks, keyed by chunk coordinates
+   * @type {Map<string, WorldChunk>}
+   */
+  chunks = new Map();
+
+  /**
+   * Coordinates of chunks waiting to be generated, keyed by chunk coordinates
+   * @type {Map<string, { x: number, z: number, priority: number }>}
+   */
+  queue = new Map();
+
+  /**
+   * Maximum time in milliseconds spent generating and meshing chunks on
+   * the main thread each frame. At least one chunk is always processed
+   * per frame so loading never stalls. Rebuilding the sections whose blocks
+   * or light changed gets the same budget.
+   */
+  frameBudget = 4;
+
+  /**
+   * Number of chunks beyond the load distance that a chunk has to be before
+   * it is unloaded. This stops chunks from being unloaded and loaded over
+   * and over when the player walks back and forth along a chunk border.
+   */
+  unloadMargin = 1;
+
+  /**
+   * Extra distance (in chunks) added to the priority of chunks outside of
+   * the camera's view, so the chunks the player is looking at load first
+   */
+  outOfViewPenalty = 2;
+
+  /**
+   * Workers used to generate chunks when `world.asyncLoading` is enabled.
+   * Created the first time it is needed.
+   * @type {ChunkWorkerPool | null}
+   */
+  workerPool = null;
+
+  /**
+   * Snapshot of the loading queue, shown in the debug UI
+   */
+  stats = {
+    loaded: 0,
+    queued: 0,
+    generating: 0,
+    ready: 0,
+    dirty: 0,
+    frameTime: 0,
+  };
+
+  /**
+   * @param {import("./world.js").World} world
+   */
+  constructor(world) {
+    this.world = world;
+  }
+
+  /**
+   * Queues the chunks around the player that need to be loaded, unloads
+   * the ones that are too far away, then loads as many queued chunks as
+   * fit in the frame budget. Finally, hides the loaded chunks that are
+   * outside of the draw distance or the camera's view.
+   * @param {Player} player
+   * @param {THREE.Camera} camera Camera the world is being viewed from
+   */
+  update(player, camera) {
+    const start = performance.now();
+
+    projectionMatrix.multiplyMatrices(
+      camera.projectionMatrix,
+      camera.matrixWorldInverse
+    );
+    frustum.setFromProjectionMatrix(projectionMatrix);
+
+    const chunksToLoad = this.world.getVisibleChunks(
+      player,
+      this.world.getLoadDistance()
+    );
+    this.removeUnusedChunks(player, chunksToLoad);
+    this.queueChunks(chunksToLoad);
+    this.updatePriorities(player);
+
+    if (this.world.asyncLoading) {
+      this.startAsyncGeneration();
+    } else {
+      this.generateQueuedChunks(start);
+    }
+    // Chunks started on a worker still finish if async loading was turned off
+    this.finishAsyncGeneration(start);
+
+    this.updateVisibility(player);
+    this.updateStats(performance.now() - start);
+  }
+
+  /**
+   * Unloads chunks that are further than the load distance plus the unload
+   * margin, and drops queued chunks that no longer need to be loaded
+   * @param {Player} player
+   * @param {{ x: number, z: number }[]} chunksToLoad
+   */
+  removeUnusedChunks(player, chunksToLoad) {
+    const unloadDistance = this.world.getLoadDistance() + this.unloadMargin;
+    for (const [key, chunk] of this.chunks) {
+      const { x, z } = chunk.userData;
+      if (this.world.getChunkDistance(x, z, player.position) > unloadDistance) {
+        this.unloadChunk(key, chunk);
+      }
+    }
+
+    const loadKeys = new Set(chunksToLoad.map(({ x, z }) => this.getKey(x, z)));
+    for (const key of this.queue.keys()) {
+      if (!loadKeys.has(key)) {
+        this.queue.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Queues the chunks that aren't loaded or already queued
+   * @param {{ x: number, z: number }[]} chunksToLoad
+   */
+  queueChunks(chunksToLoad) {
+    for (const { x, z } of chunksToLoad) {
+      const key = this.getKey(x, z);
+      if (!this.chunks.has(key) && !this.queue.has(key)) {
+        this.queue.set(key, { x, z, priority: 0 });
+      }
+    }
+  }
+
+  /**
+   * Updates the priority of the queued chunks. Lower values are loaded
+   * first. The priority is the distance from the player (in chunks), plus
+   * a penalty if the chunk isn't in view of the camera.
+   * @param {Player} player
+   */
+  updatePriorities(player) {
+    const updatePriority = (entry) => {
+      entry.priority = this.world.getChunkDistance(
+        entry.x,
+        entry.z,
+        player.position
+      );
+      if (!this.isInView(entry.x, entry.z)) {
+        entry.priority += this.outOfViewPenalty;
+      }
+    };
+
+    for (const entry of this.queue.values()) {
+      updatePriority(entry);
+    }
+    for (const chunk of this.chunks.values()) {
+      if (!chunk.loaded) updatePriority(chunk.userData);
+    }
+  }
+
+  /**
+   * Shows the loaded chunks within the draw distance and hides the rest.
+   * If frustum culling is enabled, chunks outside of the camera's view
+   * are hidden as well.
+   * @param {Player} player
+   */
+  updateVisibility(player) {
+    for (const chunk of this.chunks.values()) {
+      const { x, z } = chunk.userData;
+      chunk.visible =
+        this.world.getChunkDistance(x, z, player.position) <=
+          this.world.drawDistance &&
+        (!this.world.frustumCulling || this.isInView(x, z));
+    }
+  }
+
+  /**
+   * Returns true if any part of the chunk at (x, z) is in the camera's view
+   * @param {number} x
+   * @param {number} z
+   * @returns {boolean}
+   */
+  isInView(x, z) {
+    const { width, height } = this.world.chunkSize;
+
+    // Blocks are centered on integer coordinates
+    chunkBounds.min.set(x * width - 0.5, -0.5, z * width - 0.5);
+    chunkBounds.max.set(
+      (x + 1) * width - 0.5,
+      height - 0.5,
+      (z + 1) * width - 0.5
+    );
+
+    return frustum.intersectsBox(chunkBounds);
+  }
+
+  /**
+   * Sends the highest priority queued chunks to the workers. Only enough
+   * chunks to keep every worker busy are sent at a time so the rest stay
+   * in the queue, where their priority can still change.
+   */
+  startAsyncGeneration() {
+    this.workerPool ??= new ChunkWorkerPool();
+
+    let generating = 0;
+    for (const chunk of this.chunks.values()) {
+      if (chunk.generationTask) generating++;
+    }
+
+    const maxGenerating = this.workerPool.workerCount + 1;
+    for (const entry of this.getQueueByPriority()) {
+      if (generating >= maxGenerating) break;
+      this.createChunk(entry).generateAsync(this.workerPool);
+      generating++;
+    }
+  }
+
+  /**
+   * Creates the meshes for chunks that have finished generating on a
+   * worker, highest priority first, until the frame budget is used up
+   * @param {number} start Time the frame's work started
+   */
+  finishAsyncGeneration(start) {
+    const readyChunks = [...this.chunks.values()]
+      .filter((chunk) => chunk.generationResult)
+      .sort((a, b) => a.userData.priority - b.userData.priority);
+
+    for (const chunk of readyChunks) {
+      chunk.finishGeneration();
+      this.world.lighting.updateChunkBorders(chunk);
+      this.checkNeighborSections(chunk);
+      if (performance.now() - start >= this.frameBudget) break;
+    }
+  }
+
+  /**
+   * Generates the highest priority queued chunks on the main thread until
+   * the frame budget is used up
+   * @param {number} start Time the frame's work started
+   */
+  generateQueuedChunks(start) {
+    for (const entry of this.getQueueByPriority()) {
+      const chunk = this.createChunk(entry);
+      chunk.generate();
+      this.world.lighting.updateChunkBorders(chunk);
+      this.checkNeighborSections(chunk);
+      if (performance.now() - start >= this.frameBudget) break;
+    }
+  }
+
+  /**
+   * Rebuilds the meshes of the sections whose blocks or light changed,
+   * nearest to the player first, until the frame budget is used up. The
+   * rest stay dirty and are rebuilt on the following frames.
+   * @param {Player} player
+   */
+  updateDirtySections(player) {
+    const start = performance.now();
+
+    const { width } = this.world.chunkSize;
+    const center = new THREE.Vector3();
+    const dirtySections = [];
+    for (const chunk of this.chunks.values()) {
+      if (!chunk.loaded) continue;
+      for (const section of chunk.dirtySections) {
+        center.set(
+          chunk.position.x + width / 2,
+          (section.minY + section.maxY) / 2,
+          chunk.position.z + width / 2
+        );
+        const distance = center.distanceToSquared(player.position);
+        dirtySections.push({ chunk, section, distance });
+      }
+    }
+    dirtySections.sort((a, b) => a.distance - b.distance);
+
+    for (const { chunk, section } of dirtySections) {
+      chunk.dirtySections.delete(section);
+      section.generateMeshes();
+      if (performance.now() - start >= this.frameBudget) break;
+    }
+  }
+
+  /**
+   * Returns the queued chunks in the order they should be loaded
+   * @returns {{ x: number, z: number, priority: number }[]}
+   */
+  getQueueByPriority() {
+    return [...this.queue.values()].sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Removes a chunk from the queue and adds it to the world
+   * @param {{ x: number, z: number, priority: number }} entry
+   * @returns {WorldChunk}
+   */
+  createChunk({ x, z, priority }) {
+    const key = this.getKey(x, z);
+    const { chunkSize, params, dataStore } = this.world;
+
+    const chunk = new WorldChunk(chunkSize, params, dataStore);
+    chunk.position.set(x * chunkSize.width, 0, z * chunkSize.width);
+    chunk.userData = { x, z, priority };
+    chunk.greedyMeshing = this.world.greedyMeshing;
+    chunk.ambientOcclusion = this.world.ambientOcclusion;
+    chunk.paletteCompression = this.world.paletteCompression;
+    chunk.lighting = this.world.lighting;
+
+    this.queue.delete(key);
+    this.chunks.set(key, chunk);
+    this.world.add(chunk);
+
+    return chunk;
+  }
+
+  /**
+   * Removes a chunk from the world and frees its resources
+   * @param {string} key
+   * @param {WorldChunk} chunk
+   * @param {boolean} [checkNeighbors] Whether to recheck the sections of the
+   * neighboring chunks, which isn't needed when they're all being unloaded
+   */
+  unloadChunk(key, chunk, checkNeighbors = true) {
+    chunk.cancelGeneration();
+    chunk.disposeChildren();
+    this.world.remove(chunk);
+    this.chunks.delete(key);
+    if (checkNeighbors && chunk.loaded) this.checkNeighborSections(chunk);
+  }
+
+  /**
+   * Rechecks which sections of the loaded chunks next to `chunk` are
+   * buried, since it was just loaded or unloaded beside them
+   * @param {WorldChunk} chunk
+   */
+  checkNeighborSections(chunk) {
+    const { x, z } = chunk.userData;
+    for (const [dx, dz] of [
+      [-1, 0],
+      [1, 0],
+      [0, -1],
+      [0, 1],
+    ]) {
+      const neighbor = this.getChunk(x + dx, z + dz);
+      if (neighbor?.loaded) neighbor.checkHiddenSections();
+    }
+  }
+
+  /**
+   * Unloads every chunk and clears the queue
+   */
+  clear() {
+    for (const [key, chunk] of this.chunks) {
+      this.unloadChunk(key, chunk, false);
+    }
+    this.queue.clear();
+  }
+
+  /**
+   * Returns the chunk at the chunk coordinates (x, z), if it has been created
+   * @param {number} x
+   * @param {number} z
+   * @returns {WorldChunk | undefined}
+   */
+  getChunk(x, z) {
+    return this.chunks.get(this.getKey(x, z));
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} z
+   * @returns {string}
+   */
+  getKey(x, z) {
+    return `${x},${z}`;
+  }
+
+  /**
+   * @param {number} frameTime Time spent loading chunks this frame
+   */
+  updateStats(frameTime) {
+    this.stats.loaded = 0;
+    this.stats.generating = 0;
+    this.stats.ready = 0;
+    this.stats.dirty = 0;
+    for (const chunk of this.chunks.values()) {
+      if (chunk.loaded) this.stats.loaded++;
+      this.stats.dirty += chunk.dirtySections.size;
+      if (chunk.generationTask) this.stats.generating++;
+      if (chunk.generationResult) this.stats.ready++;
+    }
+    this.stats.queued = this.queue.size;
+    this.stats.frameTime = frameTime;
+  }
+}
@@ -0,0 +1,573 @@
+import { blocks } from "./blocks.js";
+import { getLightBrightness } from "./lighting.js";
+
+/**
+ * The six faces of a block in the same order as the material groups of
+ * THREE.BoxGeometry (+x, -x, +y, -y, +z, -z)
+ *  - `axis` is the axis the face is perpendicular to (0 = x, 1 = y, 2 = z)
+ *  - `sign` is the direction the face points along that axis
+ */
+export const faces = [
+  { axis: 0, sign: 1 },
+  { axis: 0, sign: -1 },
+  { axis: 1, sign: 1 },
+  { axis: 1, sign: -1 },
+  { axis: 2, sign: 1 },
+  { axis: 2, sign: -1 },
+];
+
+/**
+ * True for each block id whose block completely hides the faces of the
+ * blocks next to it, indexed by block id
+ * @type {boolean[]}
+ */
+const opaqueBlocks = [];
+
+/**
+ * True for each block id that is blended over the blocks behind it,
+ * indexed by block id
+ * @type {boolean[]}
+ */
+const translucentBlocks = [];
+
+/**
+ * True for each block id that is drawn as a cross instead of a cube,
+ * indexed by block id
+ * @type {boolean[]}
+ */
+const crossBlocks = [];
+
+/**
+ * Faces between two translucent blocks in the same group aren't drawn. Each
+ * fluid is one group, so the levels of a fluid blend into each other.
+ * @type {(number | string)[]}
+ */
+const translucentGroups = [];
+
+for (const blockType of Object.values(blocks)) {
+  crossBlocks[blockType.id] = blockType.shape === "cross";
+  translucentGroups[blockType.id] = blockType.fluid ?? blockType.id;
+  translucentBlocks[blockType.id] = blockType.translucent ?? false;
+  opaqueBlocks[blockType.id] =
+    blockType.id !== blocks.empty.id &&
+    !blockType.transparent &&
+    !blockType.translucent &&
+    !crossBlocks[blockType.id];
+}
+
+/**
+ * Returns true if the block completely hides the faces of the blocks next to it
+ * @param {number} blockId
+ * @returns {boolean}
+ */
+export function isOpaque(blockId) {
+  return opaqueBlocks[blockId] ?? false;
+}
+
+/**
+ * Returns true if the block is blended over the blocks behind it
+ * @param {number} blockId
+ * @returns {boolean}
+ */
+export function isTranslucent(blockId) {
+  return translucentBlocks[blockId] ?? false;
+}
+
+/**
+ * Returns true if the face of `blockId` facing `neighborId` can't be seen
+ * @param {number} blockId
+ * @param {number} neighborId
+ * @returns {boolean}
+ */
+function isFaceHidden(blockId, neighborId) {
+  return (
+    isOpaque(neighborId) ||
+    (isTranslucent(blockId) &&
+      translucentGroups[neighborId] === translucentGroups[blockId])
+  );
+}
+
+/**
+ * Returns true if the block is drawn as a cross instead of a cube
+ * @param {number} blockId
+ * @returns {boolean}
+ */
+export function isCross(blockId) {
+  return crossBlocks[blockId] ?? false;
+}
+
+/**
+ * Brightness of a face corner for each ambient occlusion level, from fully
+ * occluded (0) to not occluded at all (3)
+ */
+const occlusionBrightness = [0.45, 0.6, 0.8, 1];
+
+/**
+ * Occlusion of the four corners of a face that isn't occluded at all,
+ * packed two bits per corner
+ */
+const noOcclusion = 0xff;
+
+/**
+ * Offsets of the four corners of a face along its (u, v) axes, in the order
+ * their occlusion levels are packed
+ */
+const faceCorners = [
+  [-1, -1],
+  [1, -1],
+  [1, 1],
+  [-1, 1],
+];
+
+/**
+ * Builds the geometry buffers for a chunk by only emitting the block faces
+ * that aren't hidden by an opaque block, then greedily merging adjacent
+ * faces with the same tile and light into larger quads. Blocks drawn as
+ * crosses are added afterwards as two diagonal quads each. The faces of
+ * translucent blocks are kept in `translucentIndices` so they can be drawn
+ * after everything else.
+ *
+ * Each face is lit by the light of the block in front of it (or, for
+ * crosses, the block they are in), which is baked into the vertex colors.
+ * With `ambientOcclusion`, each corner of a face is also darkened by the
+ * opaque blocks around it: the two blocks beside the corner and the one
+ * diagonally across from it, all in the layer in front of the face. Faces
+ * whose corners are occluded differently aren't merged, since the shading
+ * would be stretched across the whole quad.
+ *
+ * Blocks are centered on integer coordinates, so the block at (0, 0, 0)
+ * spans -0.5 to 0.5 on each axis. Blocks outside of the chunk are treated
+ * as empty.
+ *
+ * @param {{ width: number, height: number }} size Size of the chunk
+ * @param {(x: number, y: number, z: number) => number} getBlockId Returns the
+ * id of the block at (x, y, z), or 0 if the block is empty
+ * @param {(blockId: number, faceIndex: number) => number} getTile Returns the
+ * atlas tile for a face of a block
+ * @param {(x: number, y: number, z: number) => number} getLight Returns the
+ * light of the block at (x, y, z) (see `lighting.js`)
+ * @param {boolean} [ambientOcclusion] If true, corners and crevices are
+ * shaded by ambient occlusion
+ * @returns {{
+ *  positions: Float32Array,
+ *  normals: Float32Array,
+ *  uvs: Float32Array,
+ *  tiles: Float32Array,
+ *  colors: Float32Array,
+ *  indices: Uint32Array,
+ *  translucentIndices: Uint32Array
+ * }}
+ */
+export function greedyMesh(
+  size,
+  getBlockId,
+  getTile,
+  getLight,
+  ambientOcclusion = false
+) {
+  const dims = [size.width, size.height, size.width];
+
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const tiles = [];
+  const colors = [];
+  const indices = [];
+  const translucentIndices = [];
+
+  const pos = [0, 0, 0];
+  const neighbor = [0, 0, 0];
+  const sample = [0, 0, 0];
+
+  faces.forEach(({ axis: d, sign }, faceIndex) => {
+    // The two axes spanning the face
+    const u = (d + 1) % 3;
+    const v = (d + 2) % 3;
+
+    // Tile + 1, corner occlusion and light of the exposed face at each
+    // (u, v) in the current slice, packed into one value, or 0 if there is
+    // no face there. Faces of translucent blocks are negative so they are
+    // only merged with each other.
+    const mask = new Int32Array(dims[u] * dims[v]);
+
+    for (pos[d] = 0; pos[d] < dims[d]; pos[d]++) {
+      // Build the mask of exposed faces for this slice
+      let n = 0;
+      for (pos[v] = 0; pos[v] < dims[v]; pos[v]++) {
+        for (pos[u] = 0; pos[u] < dims[u]; pos[u]++, n++) {
+          mask[n] = 0;
+
+          const blockId = getBlockId(pos[0], pos[1], pos[2]);
+          if (blockId === 0 || isCross(blockId)) continue;
+
+          neighbor[0] = pos[0];
+          neighbor[1] = pos[1];
+          neighbor[2] = pos[2];
+          neighbor[d] += sign;
+          if (
+            isFaceHidden(
+              blockId,
+              getBlockId(neighbor[0], neighbor[1], neighbor[2])
+            )
+          ) {
+            continue;
+          }
+
+          const occlusion = ambientOcclusion
+            ? getFaceOcclusion(u, v)
+            : noOcclusion;
+          mask[n] =
+            ((getTile(blockId, faceIndex) + 1) * 256 + occlusion) * 256 +
+            getLight(neighbor[0], neighbor[1], neighbor[2]);
+          if (isTranslucent(blockId)) mask[n] = -mask[n];
+        }
+      }
+
+      // Merge the faces in the mask into rectangles
+      n = 0;
+      for (let j = 0; j < dims[v]; j++) {
+        let i = 0;
+        while (i < dims[u]) {
+          const key = mask[n];
+          if (key === 0) {
+            i++;
+            n++;
+            continue;
+          }
+
+          // Grow the quad along u as far as possible, unless the face's
+          // corners are shaded differently
+          const occlusion = (Math.abs(key) >> 8) & 0xff;
+          const mergeable = occlusion === (occlusion & 3) * 0x55;
+          let w = 1;
+          while (mergeable && i + w < dims[u] && mask[n + w] === key) w++;
+
+          // Then grow it along v while every face in the next row matches
+          let h = 1;
+          grow: while (mergeable && j + h < dims[v]) {
+            for (let k = 0; k < w; k++) {
+              if (mask[n + k + h * dims[u]] !== key) break grow;
+            }
+            h++;
+          }
+
+          addQuad(d, u, v, sign, faceIndex, pos[d], i, j, w, h, key);
+
+          // Clear the faces that were merged into this quad
+          for (let l = 0; l < h; l++) {
+            mask.fill(0, n + l * dims[u], n + l * dims[u] + w);
+          }
+
+          i += w;
+          n += w;
+        }
+      }
+    }
+  });
+
+  for (let x = 0; x < size.width; x++) {
+    for (let y = 0; y < size.height; y++) {
+      for (let z = 0; z < size.width; z++) {
+        const blockId = getBlockId(x, y, z);
+        if (isCross(blockId)) {
+          addCross(x, y, z, getTile(blockId, 0), getLight(x, y, z));
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the ambient occlusion level (0 to 3) of each corner of the face
+   * in front of `neighbor`, packed two bits per corner
+   * @param {number} u
+   * @param {number} v
+   * @returns {number}
+   */
+  function getFaceOcclusion(u, v) {
+    let occlusion = 0;
+    faceCorners.forEach(([cu, cv], corner) => {
+      const side1 = isOccluding(u, cu, v, 0);
+      const side2 = isOccluding(u, 0, v, cv);
+      const level =
+        side1 && side2
+          ? 0
+          : 3 -
+            Number(side1) -
+            Number(side2) -
+            Number(isOccluding(u, cu, v, cv));
+      occlusion |= level << (corner * 2);
+    });
+    return occlusion;
+  }
+
+  /**
+   * Returns true if the block offset from `neighbor` by `du` along u and
+   * `dv` along v darkens the faces next to it
+   */
+  function isOccluding(u, du, v, dv) {
+    sample[0] = neighbor[0];
+    sample[1] = neighbor[1];
+    sample[2] = neighbor[2];
+    sample[u] += du;
+    sample[v] += dv;
+    return isOpaque(getBlockId(sample[0], sample[1], sample[2]));
+  }
+
+  /**
+   * Adds a w x h quad on the face of the slice `slice` along axis `d`,
+   * starting at (i, j) along the axes (u, v). `key` is the face's value
+   * in the mask.
+   */
+  function addQuad(d, u, v, sign, faceIndex, slice, i, j, w, h, key) {
+    const tile = (Math.abs(key) >> 16) - 1;
+    const occlusion = (Math.abs(key) >> 8) & 0xff;
+    const brightness = getLightBrightness(Math.abs(key) & 0xff);
+    const base = [0, 0, 0];
+    base[d] = slice + sign * 0.5;
+    base[u] = i - 0.5;
+    base[v] = j - 0.5;
+
+    // Offsets of each corner along (u, v), wound counter-clockwise when
+    // viewed from the side the face is pointing towards
+    const corners =
+      sign > 0
+        ? [
+            [0, 0],
+            [w, 0],
+            [w, h],
+            [0, h],
+          ]
+        : [
+            [0, 0],
+            [0, h],
+            [w, h],
+            [w, 0],
+          ];
+
+    const vertexOffset = positions.length / 3;
+    const levels = [];
+    for (const [du, dv] of corners) {
+      const p = [base[0], base[1], base[2]];
+      p[u] += du;
+      p[v] += dv;
+      positions.push(p[0], p[1], p[2]);
+
+      const normal = [0, 0, 0];
+      normal[d] = sign;
+      normals.push(normal[0], normal[1], normal[2]);
+
+      uvs.push(...getFaceUV(faceIndex, du, dv, w, h));
+      tiles.push(tile);
+
+      const corner = du > 0 ? (dv > 0 ? 2 : 1) : dv > 0 ? 3 : 0;
+      const level = (occlusion >> (corner * 2)) & 3;
+      const shade = brightness * occlusionBrightness[level];
+      colors.push(shade, shade, shade);
+      levels.push(level);
+    }
+
+    // Split the quad along the diagonal between its two brighter corners.
+    // Otherwise a single dark corner bleeds into the triangle on the other
+    // side of the diagonal, and the shading looks different on each face.
+    const target = key < 0 ? translucentIndices : indices;
+    if (levels[0] + levels[2] < levels[1] + levels[3]) {
+      target.push(
+        vertexOffset,
+        vertexOffset + 1,
+        vertexOffset + 3,
+        vertexOffset + 1,
+        vertexOffset + 2,
+        vertexOffset + 3
+      );
+    } else {
+      target.push(
+        vertexOffset,
+        vertexOffset + 1,
+        vertexOffset + 2,
+        vertexOffset,
+        vertexOffset + 2,
+        vertexOffset + 3
+      );
+    }
+  }
+
+  /**
+   * Adds two quads crossing diagonally through the block at (x, y, z).
+   * Each quad is added once for each side so they can be seen from
+   * both directions.
+   */
+  function addCross(x, y, z, tile, light) {
+    const brightness = getLightBrightness(light);
+    const diagonals = [
+      [-0.5, -0.5, 0.5, 0.5],
+      [-0.5, 0.5, 0.5, -0.5],
+    ];
+
+    for (const [x0, z0, x1, z1] of diagonals) {
+      for (const flip of [false, true]) {
+        const corners = [
+          [x0, z0, 0, 0],
+          [x1, z1, 1, 0],
+          [x1, z1, 1, 1],
+          [x0, z0, 0, 1],
+        ];
+        if (flip) corners.reverse();
+
+        const vertexOffset = positions.length / 3;
+        for (const [dx, dz, u, v] of corners) {
+          positions.push(x + dx, y + v - 0.5, z + dz);
+          // Plants are lit like the top of a block
+          normals.push(0, 1, 0);
+          uvs.push(u, v);
+          tiles.push(tile);
+          colors.push(brightness, brightness, brightness);
+        }
+
+        indices.push(
+          vertexOffset,
+          vertexOffset + 1,
+          vertexOffset + 2,
+          vertexOffset,
+          vertexOffset + 2,
+          vertexOffset + 3
+        );
+      }
+    }
+  }
+
+  return {
+    positions: new Float32Array(positions),
+    normals: new Float32Array(normals),
+    uvs: new Float32Array(uvs),
+    tiles: new Float32Array(tiles),
+    colors: new Float32Array(colors),
+    indices: new Uint32Array(indices),
+    translucentIndices: new Uint32Array(translucentIndices),
+  };
+}
+
+/**
+ * Returns the texture coordinates (in blocks) of a quad corner so that the
+ * texture is upright on the sides of blocks and isn't mirrored when viewed
+ * from outside the block
+ * @param {number} faceIndex
+ * @param {number} du Offset of the corner along the face's u axis
+ * @param {number} dv Offset of the corner along the face's v axis
+ * @param {number} w Size of the quad along u
+ * @param {number} h Size of the quad along v
+ * @returns {[number, number]}
+ */
+function getFaceUV(faceIndex, du, dv, w, h) {
+  switch (faceIndex) {
+    case 0: // +x: u = y, v = z
+      return [h - dv, du];
+    case 1: // -x
+      return [dv, du];
+    case 4: // +z: u = x, v = y
+      return [du, dv];
+    case 5: // -z
+      return [w - du, dv];
+    default: // +y / -y: u = z, v = x
+      return [dv, du];
+  }
+}
+
+/**
+ * Finds the blocks that have at least one face that isn't hidden by an
+ * opaque block, along with every block drawn as a cross. These are the
+ * blocks that need an instance when the chunk isn't greedy meshed. Blocks
+ * outside of the chunk are treated as empty.
+ *
+ * @param {{ width: number, height: number }} size Size of the chunk
+ * @param {(x: number, y: number, z: number) => number} getBlockId Returns the
+ * id of the block at (x, y, z), or 0 if the block is empty
+ * @returns {Object<number, Uint16Array>} The (x, y, z) coordinates of the
+ * visible blocks of each type, keyed by block id
+ */
+export function findVisibleBlocks(size, getBlockId) {
+  const visibleBlocks = {};
+
+  for (let x = 0; x < size.width; x++) {
+    for (let y = 0; y < size.height; y++) {
+      for (let z = 0; z < size.width; z++) {
+        const blockId = getBlockId(x, y, z);
+        if (blockId === 0) continue;
+
+        const exposed =
+          isCross(blockId) ||
+          !isFaceHidden(blockId, getBlockId(x + 1, y, z)) ||
+          !isFaceHidden(blockId, getBlockId(x - 1, y, z)) ||
+          !isFaceHidden(blockId, getBlockId(x, y + 1, z)) ||
+          !isFaceHidden(blockId, getBlockId(x, y - 1, z)) ||
+          !isFaceHidden(blockId, getBlockId(x, y, z + 1)) ||
+          !isFaceHidden(blockId, getBlockId(x, y, z - 1));
+
+        if (exposed) {
+          visibleBlocks[blockId] ??= [];
+          visibleBlocks[blockId].push(x, y, z);
+        }
+      }
+    }
+  }
+
+  for (const blockId in visibleBlocks) {
+    visibleBlocks[blockId] = new Uint16Array(visibleBlocks[blockId]);
+  }
+
+  return visibleBlocks;
+}
+
+/**
+ * Returns true if none of the blocks in a section of a chunk can be seen,
+ * so the section doesn't need to be meshed. This is the case when every
+ * block in the section is empty, or when every block in the section, in
+ * the layers directly above and below it, and beside it in the
+ * neighboring chunks is opaque.
+ *
+ * @param {{ width: number, height: number }} size Size of the chunk
+ * @param {number} minY Bottom of the section
+ * @param {number} maxY Top of the section (exclusive)
+ * @param {(x: number, y: number, z: number) => number} getBlockId Returns the
+ * id of the block at (x, y, z) in the chunk, or 0 if the block is empty or
+ * unknown. Blocks just past the sides of the chunk (at -1 and `width`) are
+ * in the neighboring chunks. Sections next to unknown blocks are never
+ * buried.
+ * @returns {boolean}
+ */
+export function isSectionHidden(size, minY, maxY, getBlockId) {
+  const { width, height } = size;
+
+  // The top of the chunk is always exposed to the sky
+  let empty = true;
+  let buried = maxY < height;
+
+  const minLayer = Math.max(minY - 1, 0);
+  const maxLayer = Math.min(maxY, height - 1);
+  for (let x = 0; x < width; x++) {
+    for (let y = minLayer; y <= maxLayer; y++) {
+      for (let z = 0; z < width; z++) {
+        const blockId = getBlockId(x, y, z);
+        if (blockId !== 0 && y >= minY && y < maxY) empty = false;
+        if (!isOpaque(blockId)) buried = false;
+        if (!empty && !buried) return false;
+      }
+    }
+  }
+  if (empty || !buried) return empty;
+
+  // The faces on the sides of the chunk are drawn unless the neighboring
+  // chunks cover them
+  for (let y = minY; y < maxY; y++) {
+    for (let i = 0; i < width; i++) {
+      if (
+        !isOpaque(getBlockId(-1, y, i)) ||
+        !isOpaque(getBlockId(width, y, i)) ||
+        !isOpaque(getBlockId(i, y, -1)) ||
+        !isOpaque(getBlockId(i, y, width))
+      ) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
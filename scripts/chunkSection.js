@@ -0,0 +1,464 @@
+import * as THREE from "three";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { blocks, getBlockType, missingBlock } from "./blocks.js";
+import {
+  atlasMaterial,
+  blockFaceTiles,
+  blockMaterials,
+  translucentAtlasMaterial,
+} from "./blockMaterials.js";
+import {
+  findVisibleBlocks,
+  greedyMesh,
+  isCross,
+  isSectionHidden,
+} from "./chunkMesher.js";
+import { BlockStorage, getBlockIndex } from "./blockStorage.js";
+import { getLightBrightness } from "./lighting.js";
+
+const geometry = new THREE.BoxGeometry(1, 1, 1);
+
+// Number of instances each InstancedMesh has room for on top of the
+// blocks that are visible when the section is meshed
+const extraInstances = 64;
+
+// Offsets to the six blocks next to a block
+const neighborOffsets = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
+
+const instanceColor = new THREE.Color();
+
+// Two planes crossing diagonally through the block, used for plants
+const crossGeometry = mergeGeometries([
+  new THREE.PlaneGeometry(Math.SQRT2, 1).rotateY(Math.PI / 4),
+  new THREE.PlaneGeometry(Math.SQRT2, 1).rotateY(-Math.PI / 4),
+]);
+
+/**
+ * A vertical slice of a WorldChunk. Each section stores and meshes its own
+ * blocks, so sections that are empty or completely buried don't cost
+ * anything to draw, and editing a block only rebuilds the section it is in.
+ *
+ * Block coordinates passed to a section are relative to the bottom of the
+ * section, and the section is positioned so its meshes use the same
+ * coordinates.
+ */
+export class ChunkSection extends THREE.Group {
+  /**
+   * Id of every block in the section, or null while every block is empty
+   * @type {BlockStorage | null}
+   */
+  data = null;
+
+  /**
+   * Instance id of each block that has a cube instance, keyed by block index.
+   * Only used when the chunk isn't greedy meshed.
+   * @type {Map<number, number>}
+   */
+  instanceIds = new Map();
+
+  /**
+   * True if the section had nothing to draw when it was last meshed
+   */
+  hidden = false;
+
+  /**
+   * @param {import("./worldChunk.js").WorldChunk} chunk
+   * @param {number} minY Bottom of the section within the chunk
+   * @param {number} maxY Top of the section within the chunk (exclusive)
+   */
+  constructor(chunk, minY, maxY) {
+    super();
+    this.chunk = chunk;
+    this.minY = minY;
+    this.maxY = maxY;
+    this.size = { width: chunk.size.width, height: maxY - minY };
+    this.position.y = minY;
+  }
+
+  /**
+   * Fills the section with its blocks from the ids of every block in the chunk
+   * @param {Uint16Array} blockIds Ordered by x, then y, then z
+   */
+  loadBlockIds(blockIds) {
+    const sectionIds = new Uint16Array(this.size.width ** 2 * this.size.height);
+
+    // Each x slice of the section is a contiguous run of the chunk's ids
+    const sliceLength = this.size.height * this.size.width;
+    for (let x = 0; x < this.size.width; x++) {
+      const start = (x * this.chunk.size.height + this.minY) * this.size.width;
+      sectionIds.set(
+        blockIds.subarray(start, start + sliceLength),
+        x * sliceLength
+      );
+    }
+
+    if (sectionIds.some((id) => id !== blocks.empty.id)) {
+      this.data = new BlockStorage(this.size, this.chunk.paletteCompression);
+      this.data.load(sectionIds);
+    } else {
+      this.data = null;
+    }
+  }
+
+  /**
+   * Copies the ids of the blocks in the section into the ids of every block
+   * in the chunk
+   * @param {Uint16Array} blockIds Ordered by x, then y, then z
+   */
+  writeBlockIds(blockIds) {
+    if (!this.data) return;
+
+    const sectionIds = this.data.toArray();
+    const sliceLength = this.size.height * this.size.width;
+    for (let x = 0; x < this.size.width; x++) {
+      const start = (x * this.chunk.size.height + this.minY) * this.size.width;
+      blockIds.set(
+        sectionIds.subarray(x * sliceLength, (x + 1) * sliceLength),
+        start
+      );
+    }
+  }
+
+  /**
+   * Returns true if the section has nothing to draw because it is empty or
+   * buried. Blocks beside the chunk are looked up in the neighboring chunks.
+   * @returns {boolean}
+   */
+  isHidden() {
+    return isSectionHidden(
+      this.chunk.size,
+      this.minY,
+      this.maxY,
+      (x, y, z) =>
+        this.chunk.getBlockIdWithNeighbors(x, y, z) ?? blocks.empty.id
+    );
+  }
+
+  /**
+   * Generates the meshes for the section
+   * @param {{
+   *  hidden?: boolean,
+   *  buffers?: ReturnType<typeof greedyMesh>,
+   *  visibleBlocks?: ReturnType<typeof findVisibleBlocks>
+   * }} [meshData] Mesh data that was already computed by a worker
+   */
+  generateMeshes(meshData) {
+    this.disposeChildren();
+    this.instanceIds.clear();
+
+    // Blocks above and below the section are looked up through the chunk
+    // so faces between sections are hidden
+    const getBlockId = (x, y, z) =>
+      this.chunk.getBlockId(x, y + this.minY, z) ?? blocks.empty.id;
+
+    // Workers don't know the neighboring chunks, so they can't tell if the
+    // section is buried
+    this.hidden = meshData?.hidden || this.isHidden();
+    if (this.hidden) return;
+
+    if (this.chunk.greedyMeshing) {
+      this.generateGreedyMesh(
+        meshData?.buffers ??
+          greedyMesh(
+            this.size,
+            getBlockId,
+            (blockId, faceIndex) =>
+              (blockFaceTiles[blockId] ?? blockFaceTiles[missingBlock.id])[
+                faceIndex
+              ],
+            (x, y, z) => this.chunk.getLight(x, y + this.minY, z),
+            this.chunk.ambientOcclusion
+          )
+      );
+    } else {
+      this.generateInstancedMeshes(
+        meshData?.visibleBlocks ?? findVisibleBlocks(this.size, getBlockId)
+      );
+    }
+  }
+
+  /**
+   * Generates a single mesh containing the exposed faces of every block,
+   * with adjacent faces of the same texture merged together. The faces of
+   * translucent blocks are put in a second mesh that shares the same
+   * vertices, so they can be sorted and drawn after the opaque blocks.
+   * @param {ReturnType<typeof greedyMesh>} buffers
+   */
+  generateGreedyMesh(buffers) {
+    const sectionGeometry = new THREE.BufferGeometry();
+    sectionGeometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(buffers.positions, 3)
+    );
+    sectionGeometry.setAttribute(
+      "normal",
+      new THREE.BufferAttribute(buffers.normals, 3)
+    );
+    sectionGeometry.setAttribute(
+      "uv",
+      new THREE.BufferAttribute(buffers.uvs, 2)
+    );
+    sectionGeometry.setAttribute(
+      "tile",
+      new THREE.BufferAttribute(buffers.tiles, 1)
+    );
+    sectionGeometry.setAttribute(
+      "color",
+      new THREE.BufferAttribute(buffers.colors, 3)
+    );
+    sectionGeometry.setIndex(new THREE.BufferAttribute(buffers.indices, 1));
+
+    const mesh = new THREE.Mesh(sectionGeometry, atlasMaterial);
+    mesh.name = "chunk";
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    this.add(mesh);
+
+    if (buffers.translucentIndices.length > 0) {
+      const translucentGeometry = new THREE.BufferGeometry();
+      for (const [name, attribute] of Object.entries(
+        sectionGeometry.attributes
+      )) {
+        translucentGeometry.setAttribute(name, attribute);
+      }
+      translucentGeometry.setIndex(
+        new THREE.BufferAttribute(buffers.translucentIndices, 1)
+      );
+
+      // Light passes through translucent blocks, so they don't cast shadows
+      const translucentMesh = new THREE.Mesh(
+        translucentGeometry,
+        translucentAtlasMaterial
+      );
+      translucentMesh.name = "translucent";
+      translucentMesh.receiveShadow = true;
+      this.add(translucentMesh);
+    }
+  }
+
+  /**
+   * Generates an InstancedMesh for each block type in the section with an
+   * instance for every block that isn't obscured
+   * @param {ReturnType<typeof findVisibleBlocks>} visibleBlocks
+   */
+  generateInstancedMeshes(visibleBlocks) {
+    const matrix = new THREE.Matrix4();
+    for (const [key, coords] of Object.entries(visibleBlocks)) {
+      const blockId = Number(key);
+      const blockType = getBlockType(blockId);
+
+      // Leave room for blocks that are revealed or placed later. The section
+      // is rebuilt if a mesh runs out of room.
+      const mesh = new THREE.InstancedMesh(
+        isCross(blockId) ? crossGeometry : geometry,
+        blockMaterials[blockId] ?? blockMaterials[missingBlock.id],
+        coords.length / 3 + extraInstances
+      );
+      mesh.name = blockType.name;
+      mesh.userData.blockId = blockId;
+      mesh.count = 0;
+      mesh.castShadow = !blockType.translucent;
+      mesh.receiveShadow = true;
+
+      // Add an instance for each block that is not obscured by other blocks
+      for (let i = 0; i < coords.length; i += 3) {
+        const [x, y, z] = [coords[i], coords[i + 1], coords[i + 2]];
+        const instanceId = mesh.count++;
+        matrix.setPosition(x, y, z);
+        mesh.setMatrixAt(instanceId, matrix);
+        mesh.setColorAt(instanceId, this.getInstanceColor(x, y, z));
+        this.setBlockInstanceId(x, y, z, instanceId);
+      }
+
+      this.add(mesh);
+    }
+  }
+
+  /**
+   * Creates a new instance for the block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  addBlockInstance(x, y, z) {
+    const blockId = this.getBlockId(x, y, z);
+
+    // Only add an instance if the block is not empty and doesn't already have one
+    if (
+      blockId === blocks.empty.id ||
+      this.getBlockInstanceId(x, y, z) !== null
+    ) {
+      return;
+    }
+
+    // Hidden sections have no meshes to add to, and meshes only have room
+    // for a few more instances than they were created with, so the section
+    // is marked to be rebuilt along with any other changes (such as the
+    // light) this frame instead
+    const mesh = this.getMeshForBlock(blockId);
+    if (this.hidden || !mesh || mesh.count >= mesh.instanceMatrix.count) {
+      this.chunk.dirtySections.add(this);
+      return;
+    }
+
+    const instanceId = mesh.count++;
+    this.setBlockInstanceId(x, y, z, instanceId);
+
+    const matrix = new THREE.Matrix4();
+    matrix.setPosition(x, y, z);
+    mesh.setMatrixAt(instanceId, matrix);
+    mesh.setColorAt(instanceId, this.getInstanceColor(x, y, z));
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+    mesh.computeBoundingSphere();
+  }
+
+  /**
+   * Returns the color an instance of the block at (x, y, z) is tinted with.
+   * Cubes are lit by their brightest neighbor, since every face can't have
+   * its own light, and crosses by the light of the block they are in.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {THREE.Color}
+   */
+  getInstanceColor(x, y, z) {
+    const chunkY = y + this.minY;
+    let brightness = 0;
+    if (isCross(this.getBlockId(x, y, z))) {
+      brightness = getLightBrightness(this.chunk.getLight(x, chunkY, z));
+    } else {
+      for (const [dx, dy, dz] of neighborOffsets) {
+        const light = this.chunk.getLight(x + dx, chunkY + dy, z + dz);
+        brightness = Math.max(brightness, getLightBrightness(light));
+      }
+    }
+    return instanceColor.setScalar(brightness);
+  }
+
+  /**
+   * Removes the mesh instance associated with the block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  deleteBlockInstance(x, y, z) {
+    const blockId = this.getBlockId(x, y, z);
+    const instanceId = this.getBlockInstanceId(x, y, z);
+
+    if (blockId === blocks.empty.id || instanceId === null) {
+      return;
+    }
+
+    const mesh = this.getMeshForBlock(blockId);
+
+    // Swap the last instance into the slot being removed so the
+    // instances stay tightly packed in [0, count)
+    const lastMatrix = new THREE.Matrix4();
+    mesh.getMatrixAt(mesh.count - 1, lastMatrix);
+
+    // Update the instance id of the block that was moved
+    const v = new THREE.Vector3();
+    v.applyMatrix4(lastMatrix);
+    this.setBlockInstanceId(v.x, v.y, v.z, instanceId);
+
+    mesh.setMatrixAt(instanceId, lastMatrix);
+    mesh.getColorAt(mesh.count - 1, instanceColor);
+    mesh.setColorAt(instanceId, instanceColor);
+    mesh.count--;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+    mesh.computeBoundingSphere();
+
+    this.setBlockInstanceId(x, y, z, null);
+  }
+
+  /**
+   * Returns the InstancedMesh used to render blocks of type `blockId`
+   * @param {number} blockId
+   * @returns {THREE.InstancedMesh | undefined}
+   */
+  getMeshForBlock(blockId) {
+    return this.children.find((mesh) => mesh.userData.blockId === blockId);
+  }
+
+  /**
+   * Gets the id of the block at (x, y, z). The coordinates must be in bounds.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number}
+   */
+  getBlockId(x, y, z) {
+    if (!this.data) return blocks.empty.id;
+    return this.data.get(this.data.getIndex(x, y, z));
+  }
+
+  /**
+   * Sets the block id for the block at (x, y, z). The coordinates must be
+   * in bounds.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} id
+   */
+  setBlockId(x, y, z, id) {
+    if (!this.data) {
+      if (id === blocks.empty.id) return;
+      this.data = new BlockStorage(this.size, this.chunk.paletteCompression);
+    }
+    this.data.set(this.data.getIndex(x, y, z), id);
+  }
+
+  /**
+   * Gets the instance id for the block at (x, y, z), or null if it
+   * doesn't have one. The coordinates must be in bounds.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null}
+   */
+  getBlockInstanceId(x, y, z) {
+    return this.instanceIds.get(getBlockIndex(this.size, x, y, z)) ?? null;
+  }
+
+  /**
+   * Sets the block instance id for the block at (x, y, z). The coordinates
+   * must be in bounds.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number | null} instanceId
+   */
+  setBlockInstanceId(x, y, z, instanceId) {
+    const index = getBlockIndex(this.size, x, y, z);
+    if (instanceId === null) {
+      this.instanceIds.delete(index);
+    } else {
+      this.instanceIds.set(index, instanceId);
+    }
+  }
+
+  disposeChildren() {
+    this.traverse((obj) => {
+      if (obj.dispose) obj.dispose();
+      // The box and cross geometries are shared by every section, but greedy
+      // meshes own theirs
+      if (
+        obj.geometry &&
+        obj.geometry !== geometry &&
+        obj.geometry !== crossGeometry
+      ) {
+        obj.geometry.dispose();
+      }
+    });
+    this.clear();
+  }
+}
@@ -0,0 +1,95 @@
+import { missingBlock } from "./blocks.js";
+import { generateChunkData } from "./chunkGenerator.js";
+import { getBlockIndex, getSectionBounds } from "./blockStorage.js";
+import {
+  findVisibleBlocks,
+  greedyMesh,
+  isSectionHidden,
+} from "./chunkMesher.js";
+import { computeChunkLight, fullSkyLight } from "./lighting.js";
+
+/**
+ * Generates the block data and light of a chunk along with the buffers
+ * needed to draw each of its sections, then sends them back to the main
+ * thread. All of the typed arrays are transferred instead of copied.
+ */
+self.onmessage = ({
+  data: { id, options, greedyMeshing, ambientOcclusion, blockFaceTiles },
+}) => {
+  try {
+    const { size } = options;
+    const blockIds = generateChunkData(options);
+    const light = computeChunkLight(size, blockIds);
+
+    const inBounds = (x, y, z) =>
+      x >= 0 &&
+      x < size.width &&
+      y >= 0 &&
+      y < size.height &&
+      z >= 0 &&
+      z < size.width;
+
+    const getBlockId = (x, y, z) =>
+      inBounds(x, y, z) ? blockIds[getBlockIndex(size, x, y, z)] : 0;
+
+    // The neighboring chunks aren't known here, so they are treated as open
+    // to the sky. They are lit properly once they are loaded.
+    const getLight = (x, y, z) => {
+      if (y < 0) return 0;
+      return inBounds(x, y, z)
+        ? light[getBlockIndex(size, x, y, z)]
+        : fullSkyLight;
+    };
+
+    const meshData = { greedyMeshing, ambientOcclusion, sections: [] };
+    const transfer = [blockIds.buffer, light.buffer];
+
+    for (const { minY, maxY } of getSectionBounds(size)) {
+      if (isSectionHidden(size, minY, maxY, getBlockId)) {
+        meshData.sections.push({ hidden: true });
+        continue;
+      }
+
+      // Mesh the section in its own coordinates, but look up the blocks
+      // above and below it in the rest of the chunk
+      const sectionSize = { width: size.width, height: maxY - minY };
+      const getSectionBlockId = (x, y, z) => getBlockId(x, y + minY, z);
+      const getSectionLight = (x, y, z) => getLight(x, y + minY, z);
+
+      let sectionMeshData;
+      if (greedyMeshing) {
+        sectionMeshData = {
+          hidden: false,
+          buffers: greedyMesh(
+            sectionSize,
+            getSectionBlockId,
+            (blockId, faceIndex) =>
+              (blockFaceTiles[blockId] ?? blockFaceTiles[missingBlock.id])[
+                faceIndex
+              ],
+            getSectionLight,
+            ambientOcclusion
+          ),
+        };
+        transfer.push(
+          ...Object.values(sectionMeshData.buffers).map((array) => array.buffer)
+        );
+      } else {
+        sectionMeshData = {
+          hidden: false,
+          visibleBlocks: findVisibleBlocks(sectionSize, getSectionBlockId),
+        };
+        transfer.push(
+          ...Object.values(sectionMeshData.visibleBlocks).map(
+            (array) => array.buffer
+          )
+        );
+      }
+      meshData.sections.push(sectionMeshData);
+    }
+
+    self.postMessage({ id, blockIds, light, meshData }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
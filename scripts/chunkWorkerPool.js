@@ -0,0 +1,175 @@
+/**
+ * Runs chunk generation on a pool of web workers so that generating noise
+ * and building meshes doesn't stall the render loop. Tasks are run in the
+ * order they are queued.
+ */
+export class ChunkWorkerPool {
+  /**
+   * Tasks waiting for a worker to become available
+   */
+  #queue = [];
+
+  /**
+   * Workers that are not currently running a task
+   * @type {Worker[]}
+   */
+  #idleWorkers = [];
+
+  /**
+   * The task each busy worker is running
+   * @type {Map<Worker, object>}
+   */
+  #runningTasks = new Map();
+
+  #nextTaskId = 0;
+
+  /**
+   * @param {number} workerCount
+   */
+  constructor(
+    workerCount = Math.min(4, Math.max(1, navigator.hardwareConcurrency - 1))
+  ) {
+    this.workerCount = workerCount;
+
+    for (let i = 0; i < workerCount; i++) {
+      this.#createWorker();
+    }
+  }
+
+  /**
+   * Starts a new worker and adds it to the idle workers
+   */
+  #createWorker() {
+    const worker = new Worker(new URL("./chunkWorker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.onmessage = (event) => this.#onMessage(worker, event.data);
+    worker.onerror = (event) => {
+      this.#onError(worker, new Error(`Chunk worker failed: ${event.message}`));
+    };
+    worker.onmessageerror = () => {
+      this.#onError(worker, new Error("Chunk worker result couldn't be read"));
+    };
+    this.#idleWorkers.push(worker);
+  }
+
+  /**
+   * Number of tasks waiting for a worker
+   */
+  get queuedCount() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Number of tasks currently being run by a worker
+   */
+  get runningCount() {
+    return this.#runningTasks.size;
+  }
+
+  /**
+   * Queues a task to be run on the next available worker
+   * @param {object} message Data sent to the worker
+   * @returns {{ promise: Promise<object>, cancel: () => void }} `promise`
+   * resolves with the worker's result, or rejects with an AbortError if the
+   * task is cancelled before it finishes and with an Error if its worker
+   * fails
+   */
+  run(message) {
+    const task = { id: this.#nextTaskId++, message, settled: false };
+    task.promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+
+    this.#queue.push(task);
+    this.#dispatch();
+
+    return { promise: task.promise, cancel: () => this.#cancel(task) };
+  }
+
+  /**
+   * Cancels a task. Queued tasks are never sent to a worker. A worker that
+   * has already started the task finishes it, but the result is discarded.
+   */
+  #cancel(task) {
+    if (task.settled) return;
+    task.settled = true;
+
+    const index = this.#queue.indexOf(task);
+    if (index !== -1) {
+      this.#queue.splice(index, 1);
+    }
+
+    task.reject(
+      new DOMException("Chunk generation was cancelled", "AbortError")
+    );
+  }
+
+  /**
+   * Sends queued tasks to idle workers
+   */
+  #dispatch() {
+    // Every worker has failed, so nothing is left to run the queued tasks
+    if (this.#idleWorkers.length + this.#runningTasks.size === 0) {
+      for (const task of this.#queue.splice(0)) {
+        task.settled = true;
+        task.reject(new Error("No chunk workers are available"));
+      }
+    }
+
+    while (this.#idleWorkers.length > 0 && this.#queue.length > 0) {
+      const worker = this.#idleWorkers.pop();
+      const task = this.#queue.shift();
+      this.#runningTasks.set(worker, task);
+      worker.postMessage({ id: task.id, ...task.message });
+    }
+  }
+
+  #onMessage(worker, result) {
+    const task = this.#runningTasks.get(worker);
+    this.#runningTasks.delete(worker);
+    this.#idleWorkers.push(worker);
+
+    // Cancelled tasks have already been settled, so their result is dropped
+    if (!task.settled) {
+      task.settled = true;
+      if (result.error) {
+        task.reject(new Error(result.error));
+      } else {
+        task.resolve(result);
+      }
+    }
+
+    this.#dispatch();
+  }
+
+  /**
+   * Fails the task a worker was running when it crashed or sent a result
+   * that couldn't be read, and replaces the worker. Workers that fail
+   * without a task (e.g. because the script couldn't be loaded) aren't
+   * replaced, since their replacement would most likely fail as well.
+   * @param {Worker} worker
+   * @param {Error} error
+   */
+  #onError(worker, error) {
+    worker.terminate();
+
+    const task = this.#runningTasks.get(worker);
+    this.#runningTasks.delete(worker);
+    const idleIndex = this.#idleWorkers.indexOf(worker);
+    if (idleIndex !== -1) {
+      this.#idleWorkers.splice(idleIndex, 1);
+    }
+
+    if (task) {
+      if (!task.settled) {
+        task.settled = true;
+        task.reject(error);
+      }
+      this.#createWorker();
+    }
+
+    this.#dispatch();
+  }
+}
@@ -0,0 +1,272 @@
+import * as THREE from "three";
+import { RNG } from "./rng";
+
+/**
+ * Distance from the camera the sun, moon and stars are drawn at. This is
+ * inside the player camera's far plane so they are never clipped.
+ */
+const skyDistance = 150;
+
+const starCount = 1000;
+
+/**
+ * Look of the sky and lighting at times of the day (in hours). The cycle
+ * blends between the two keyframes on either side of the current time.
+ *  - `sky` is the color of the sky and the fog
+ *  - `light` and `lightIntensity` are the color and intensity of the light
+ *    from the sun (or the moon at night)
+ *  - `ambientIntensity` is the intensity of the ambient light
+ *  - `stars` is the opacity of the stars
+ */
+const keyframes = [
+  {
+    time: 0,
+    sky: 0x0a0e1f,
+    light: 0x8090c0,
+    lightIntensity: 0.3,
+    ambientIntensity: 0.15,
+    stars: 1,
+  },
+  {
+    time: 4.5,
+    sky: 0x0a0e1f,
+    light: 0x8090c0,
+    lightIntensity: 0.3,
+    ambientIntensity: 0.15,
+    stars: 1,
+  },
+  {
+    time: 6,
+    sky: 0xe89a6a,
+    light: 0xffb27a,
+    lightIntensity: 0.6,
+    ambientIntensity: 0.12,
+    stars: 0,
+  },
+  {
+    time: 8,
+    sky: 0x80a0e0,
+    light: 0xffffff,
+    lightIntensity: 1,
+    ambientIntensity: 0.1,
+    stars: 0,
+  },
+  {
+    time: 16.5,
+    sky: 0x80a0e0,
+    light: 0xffffff,
+    lightIntensity: 1,
+    ambientIntensity: 0.1,
+    stars: 0,
+  },
+  {
+    time: 18,
+    sky: 0xe07a4f,
+    light: 0xff9a5a,
+    lightIntensity: 0.6,
+    ambientIntensity: 0.12,
+    stars: 0,
+  },
+  {
+    time: 19.5,
+    sky: 0x0a0e1f,
+    light: 0x8090c0,
+    lightIntensity: 0.3,
+    ambientIntensity: 0.15,
+    stars: 1,
+  },
+  {
+    time: 24,
+    sky: 0x0a0e1f,
+    light: 0x8090c0,
+    lightIntensity: 0.3,
+    ambientIntensity: 0.15,
+    stars: 1,
+  },
+].map((keyframe) => ({
+  ...keyframe,
+  sky: new THREE.Color(keyframe.sky),
+  light: new THREE.Color(keyframe.light),
+}));
+
+/**
+ * Moves the sun and moon across the sky as the time of day advances, and
+ * changes the color of the sky, the fog and the light to match. The sun
+ * rises in the east (+x) at 6:00, is overhead at 12:00 and sets in the west
+ * at 18:00, with the moon opposite it. The sun, moon and stars are drawn
+ * around the camera so they always look infinitely far away.
+ */
+export class DayNightCycle extends THREE.Group {
+  /**
+   * Time of day in hours, from 0 (midnight) up to 24
+   */
+  timeOfDay = 8;
+
+  /**
+   * Length of a full day (in seconds)
+   */
+  dayLength = 600;
+
+  /**
+   * If true, the time of day doesn't advance
+   */
+  paused = false;
+
+  /**
+   * Direction from the player to the sun
+   */
+  sunDirection = new THREE.Vector3();
+
+  /**
+   * Light from the sun during the day and from the moon at night, since
+   * only one of them is above the horizon at a time. This is the light
+   * that casts shadows.
+   */
+  light = new THREE.DirectionalLight();
+
+  ambientLight = new THREE.AmbientLight();
+
+  /**
+   * Sun, moon and stars, which follow the camera
+   */
+  sky = new THREE.Group();
+
+  /**
+   * @param {THREE.Fog} fog Fog whose color is changed to match the sky
+   */
+  constructor(fog) {
+    super();
+    this.fog = fog;
+
+    this.light.castShadow = true;
+    this.light.shadow.camera.left = -40;
+    this.light.shadow.camera.right = 40;
+    this.light.shadow.camera.top = 40;
+    this.light.shadow.camera.bottom = -40;
+    this.light.shadow.camera.near = 0.1;
+    this.light.shadow.camera.far = 200;
+    this.light.shadow.bias = -0.001;
+    this.light.shadow.mapSize = new THREE.Vector2(2048, 2048);
+    this.add(this.light);
+    this.add(this.light.target);
+    this.add(this.ambientLight);
+
+    this.sun = this.createSkyBody(20, 0xfff2b0);
+    this.moon = this.createSkyBody(14, 0xdde4ff);
+    this.stars = this.createStars();
+    this.sky.add(this.sun, this.moon, this.stars);
+    this.add(this.sky);
+
+    this.updateSky();
+  }
+
+  /**
+   * Creates a square for the sun or the moon. It is drawn before anything
+   * else and doesn't write to the depth buffer, so the terrain always
+   * covers it.
+   * @param {number} size
+   * @param {number} color
+   * @returns {THREE.Mesh}
+   */
+  createSkyBody(size, color) {
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(size, size),
+      new THREE.MeshBasicMaterial({ color, fog: false, depthWrite: false })
+    );
+    mesh.renderOrder = -1;
+    return mesh;
+  }
+
+  /**
+   * Creates the stars, scattered over a sphere around the camera. They use
+   * a fixed seed so they are in the same places every night.
+   * @returns {THREE.Points}
+   */
+  createStars() {
+    const rng = new RNG(0);
+    const positions = new Float32Array(starCount * 3);
+    const point = new THREE.Vector3();
+    for (let i = 0; i < starCount; i++) {
+      point
+        .set(rng.random() * 2 - 1, rng.random() * 2 - 1, rng.random() * 2 - 1)
+        .setLength(skyDistance);
+      point.toArray(positions, i * 3);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    const material = new THREE.PointsMaterial({
+      color: 0xffffff,
+      size: 1.5,
+      sizeAttenuation: false,
+      fog: false,
+      transparent: true,
+      depthWrite: false,
+    });
+    return new THREE.Points(geometry, material);
+  }
+
+  /**
+   * Advances the time of day and moves the lights and the sky to follow
+   * the player and the camera
+   * @param {number} dt
+   * @param {THREE.Vector3} playerPosition
+   * @param {THREE.Camera} camera
+   */
+  update(dt, playerPosition, camera) {
+    if (!this.paused && this.dayLength > 0) {
+      this.timeOfDay = (this.timeOfDay + (dt / this.dayLength) * 24) % 24;
+    }
+    this.updateSky();
+
+    // The light comes from whichever of the sun and the moon is up
+    const lightDirection =
+      this.sunDirection.y >= 0
+        ? this.sunDirection
+        : this.sunDirection.clone().negate();
+    this.light.position
+      .copy(playerPosition)
+      .addScaledVector(lightDirection, 100);
+    this.light.target.position.copy(playerPosition);
+
+    this.sky.position.copy(camera.position);
+    this.sun.position.copy(this.sunDirection).multiplyScalar(skyDistance);
+    this.moon.position.copy(this.sunDirection).multiplyScalar(-skyDistance);
+    this.sun.lookAt(camera.position);
+    this.moon.lookAt(camera.position);
+  }
+
+  /**
+   * Updates the direction of the sun and the colors of the sky and the
+   * lights for the current time of day
+   */
+  updateSky() {
+    // Angle of the sun above the eastern horizon. The path is tilted
+    // towards +z so the sun isn't exactly overhead at noon.
+    const angle = (this.timeOfDay / 24 - 0.25) * Math.PI * 2;
+    this.sunDirection.set(Math.cos(angle), Math.sin(angle), 0.4).normalize();
+    this.stars.rotation.z = angle;
+
+    const next = keyframes.findIndex(({ time }) => time > this.timeOfDay);
+    const a = keyframes[Math.max(next - 1, 0)];
+    const b = keyframes[next] ?? a;
+    const t = b === a ? 0 : (this.timeOfDay - a.time) / (b.time - a.time);
+
+    this.fog.color.lerpColors(a.sky, b.sky, t);
+    this.light.color.lerpColors(a.light, b.light, t);
+    this.ambientLight.intensity = THREE.MathUtils.lerp(
+      a.ambientIntensity,
+      b.ambientIntensity,
+      t
+    );
+    this.stars.material.opacity = THREE.MathUtils.lerp(a.stars, b.stars, t);
+    this.stars.visible = this.stars.material.opacity > 0;
+
+    // Fade the light out as the sun and the moon reach the horizon, so it
+    // doesn't jump when it switches between them
+    const elevation = Math.abs(this.sunDirection.y);
+    this.light.intensity =
+      THREE.MathUtils.lerp(a.lightIntensity, b.lightIntensity, t) *
+      Math.min(1, elevation / 0.2);
+  }
+}
@@ -0,0 +1,236 @@
+import { blocks } from "./blocks.js";
+
+/**
+ * Fluids flow out of their source blocks like a cellular automaton. Each
+ * flowing block is one level further from the source than the block that
+ * feeds it, and the fluid stops spreading once it reaches `maxLevel`.
+ *  - `blockIds` is the id of the block for each level, starting with the
+ *    source block at level 0
+ *  - `tickDelay` is how many ticks the fluid waits before flowing on
+ *  - `hardensWith` is the fluid that turns this fluid into a solid block
+ *    when they touch. Sources turn into `sourceHardensInto` and flowing
+ *    blocks into `flowHardensInto`.
+ * @type {Object<string, {
+ *  blockIds: number[],
+ *  maxLevel: number,
+ *  tickDelay: number,
+ *  hardensWith?: string,
+ *  sourceHardensInto?: number,
+ *  flowHardensInto?: number
+ * }>}
+ */
+export const fluids = {
+  water: {
+    tickDelay: 5,
+  },
+  lava: {
+    tickDelay: 30,
+    hardensWith: "water",
+    sourceHardensInto: blocks.obsidian.id,
+    flowHardensInto: blocks.stone.id,
+  },
+};
+
+/**
+ * Fluid each block id belongs to, indexed by block id
+ * @type {object[]}
+ */
+const blockFluids = [];
+
+for (const [name, fluid] of Object.entries(fluids)) {
+  const blockTypes = Object.values(blocks)
+    .filter((blockType) => blockType.fluid === name)
+    .sort((a, b) => a.level - b.level);
+
+  fluid.blockIds = blockTypes.map(({ id }) => id);
+  fluid.maxLevel = blockTypes.length - 1;
+  for (const { id } of blockTypes) {
+    blockFluids[id] = fluid;
+  }
+}
+
+/**
+ * Returns the fluid the block is part of, or null if it isn't a fluid
+ * @param {number} blockId
+ * @returns {object | null}
+ */
+export function getFluid(blockId) {
+  return blockFluids[blockId] ?? null;
+}
+
+/**
+ * Blocks that flowing fluids wash away
+ * @type {boolean[]}
+ */
+const replaceableBlocks = [];
+for (const blockType of Object.values(blocks)) {
+  replaceableBlocks[blockType.id] =
+    blockType.id === blocks.empty.id || blockType.shape === "cross";
+}
+
+const horizontalOffsets = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+
+/**
+ * Updates fluid blocks when the block update scheduled for them runs.
+ * Every update only looks at the block's neighbors, so fluid spreads one
+ * block per update, and every block it changes schedules updates for its
+ * own neighbors through the world.
+ */
+export class FluidSimulation {
+  /**
+   * @param {import("./world.js").World} world
+   */
+  constructor(world) {
+    this.world = world;
+  }
+
+  /**
+   * Updates the fluid block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  update(x, y, z) {
+    const blockId = this.getBlockId(x, y, z);
+    const fluid = getFluid(blockId);
+    if (!fluid) return;
+
+    const level = fluid.blockIds.indexOf(blockId);
+
+    if (fluid.hardensWith && this.touchesFluid(x, y, z, fluid.hardensWith)) {
+      this.world.setBlock(
+        x,
+        y,
+        z,
+        level === 0 ? fluid.sourceHardensInto : fluid.flowHardensInto
+      );
+      return;
+    }
+
+    // Flowing blocks follow the blocks that feed them, so they move to the
+    // new level (or dry up) once the fluid around them changes. Changing
+    // the block schedules another update, which spreads the fluid.
+    if (level > 0) {
+      const flowLevel = this.getFlowLevel(x, y, z, fluid);
+      if (flowLevel !== level) {
+        this.world.setBlock(
+          x,
+          y,
+          z,
+          flowLevel > fluid.maxLevel
+            ? blocks.empty.id
+            : fluid.blockIds[flowLevel]
+        );
+        return;
+      }
+    }
+
+    this.spread(x, y, z, fluid, level);
+  }
+
+  /**
+   * Returns the level the flowing block at (x, y, z) should be at. Fluid
+   * falling from above is always at level 1, otherwise the level is one
+   * more than the lowest level next to it.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {object} fluid
+   * @returns {number} More than `fluid.maxLevel` if nothing feeds the block
+   */
+  getFlowLevel(x, y, z, fluid) {
+    if (getFluid(this.getBlockId(x, y + 1, z)) === fluid) return 1;
+
+    let flowLevel = Infinity;
+    for (const [dx, dz] of horizontalOffsets) {
+      const neighborId = this.getBlockId(x + dx, y, z + dz);
+      if (getFluid(neighborId) === fluid) {
+        const neighborLevel = fluid.blockIds.indexOf(neighborId);
+        flowLevel = Math.min(flowLevel, neighborLevel + 1);
+      }
+    }
+    return flowLevel;
+  }
+
+  /**
+   * Spreads the fluid at (x, y, z) into the blocks around it. Fluid falls
+   * down if it can, and only spreads sideways once it lands on something.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {object} fluid
+   * @param {number} level
+   */
+  spread(x, y, z, fluid, level) {
+    const belowId = this.getBlockId(x, y - 1, z);
+    if (this.canFlowInto(belowId, fluid, 1)) {
+      this.world.setBlock(x, y - 1, z, fluid.blockIds[1]);
+      return;
+    }
+
+    // Fluid landing on flowing fluid merges into it instead of spreading
+    if (getFluid(belowId) === fluid && fluid.blockIds.indexOf(belowId) > 0) {
+      return;
+    }
+
+    const nextLevel = level + 1;
+    if (nextLevel > fluid.maxLevel) return;
+
+    for (const [dx, dz] of horizontalOffsets) {
+      const neighborId = this.getBlockId(x + dx, y, z + dz);
+      if (this.canFlowInto(neighborId, fluid, nextLevel)) {
+        this.world.setBlock(x + dx, y, z + dz, fluid.blockIds[nextLevel]);
+      }
+    }
+  }
+
+  /**
+   * Returns true if fluid at `level` can flow into a block. Fluid washes
+   * away empty blocks and plants, and raises the level of the same fluid
+   * if it is further from its source.
+   * @param {number | null} blockId
+   * @param {object} fluid
+   * @param {number} level
+   * @returns {boolean}
+   */
+  canFlowInto(blockId, fluid, level) {
+    if (blockId === null) return false;
+    if (getFluid(blockId) === fluid) {
+      return fluid.blockIds.indexOf(blockId) > level;
+    }
+    return replaceableBlocks[blockId] ?? false;
+  }
+
+  /**
+   * Returns true if a block of the fluid named `name` is next to, or on
+   * top of, the block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {string} name
+   * @returns {boolean}
+   */
+  touchesFluid(x, y, z, name) {
+    const fluid = fluids[name];
+    if (getFluid(this.getBlockId(x, y + 1, z)) === fluid) return true;
+    return horizontalOffsets.some(
+      ([dx, dz]) => getFluid(this.getBlockId(x + dx, y, z + dz)) === fluid
+    );
+  }
+
+  /**
+   * Returns the id of the block at (x, y, z), or null if it isn't loaded
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null}
+   */
+  getBlockId(x, y, z) {
+    return this.world.getBlock(x, y, z)?.id ?? null;
+  }
+}
@@ -0,0 +1,81 @@
+import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise.js";
+import { RNG } from "./rng.js";
+
+/**
+ * Simplex noise summed over several octaves (fractal Brownian motion).
+ * Each octave adds detail at `lacunarity` times the frequency and
+ * `persistence` times the amplitude of the octave before it, so large
+ * features get smaller bumps layered on top of them.
+ */
+export class FractalNoise {
+  /**
+   * @param {RNG} rng Random number generator
+   * @param {{ octaves: number, persistence: number, lacunarity: number }} options
+   */
+  constructor(rng, { octaves, persistence, lacunarity }) {
+    this.simplex = new SimplexNoise(rng);
+    this.octaves = Math.max(1, Math.round(octaves));
+    this.persistence = persistence;
+    this.lacunarity = lacunarity;
+
+    // Each octave is offset so the octaves don't all line up at the origin
+    this.offsets = [];
+    for (let i = 0; i < this.octaves; i++) {
+      this.offsets.push(rng.random() * 1000);
+    }
+
+    // Dividing by the total amplitude keeps the result between -1 and 1
+    this.maxAmplitude = 0;
+    for (let i = 0, amplitude = 1; i < this.octaves; i++) {
+      this.maxAmplitude += amplitude;
+      amplitude *= persistence;
+    }
+  }
+
+  /**
+   * Returns the 2D noise value at (x, y), between -1 and 1
+   * @param {number} x
+   * @param {number} y
+   * @returns {number}
+   */
+  noise(x, y) {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    for (let i = 0; i < this.octaves; i++) {
+      const offset = this.offsets[i];
+      value +=
+        amplitude *
+        this.simplex.noise(x * frequency + offset, y * frequency + offset);
+      amplitude *= this.persistence;
+      frequency *= this.lacunarity;
+    }
+    return value / this.maxAmplitude;
+  }
+
+  /**
+   * Returns the 3D noise value at (x, y, z), between -1 and 1
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number}
+   */
+  noise3d(x, y, z) {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    for (let i = 0; i < this.octaves; i++) {
+      const offset = this.offsets[i];
+      value +=
+        amplitude *
+        this.simplex.noise3d(
+          x * frequency + offset,
+          y * frequency + offset,
+          z * frequency + offset
+        );
+      amplitude *= this.persistence;
+      frequency *= this.lacunarity;
+    }
+    return value / this.maxAmplitude;
+  }
+}
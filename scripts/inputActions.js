@@ -0,0 +1,342 @@
+import * as THREE from "three";
+
+/**
+ * Actions the player can bind a key to, with their names and default keys.
+ * Keys are `KeyboardEvent.code`s, or "Mouse" followed by a
+ * `MouseEvent.button` for mouse buttons.
+ */
+export const actions = {
+  moveForward: { name: "Move Forward", key: "KeyW" },
+  moveBack: { name: "Move Back", key: "KeyS" },
+  moveLeft: { name: "Move Left", key: "KeyA" },
+  moveRight: { name: "Move Right", key: "KeyD" },
+  jump: { name: "Jump / Fly Up", key: "Space" },
+  sneak: { name: "Sneak / Fly Down", key: "ShiftLeft" },
+  sprint: { name: "Sprint", key: "ControlLeft" },
+  break: { name: "Break Block", key: "Mouse0" },
+  place: { name: "Place Block", key: "Mouse2" },
+  inventory: { name: "Next Block", key: "KeyE" },
+  respawn: { name: "Respawn", key: "KeyR" },
+  movementMode: { name: "Next Movement Mode", key: "KeyM" },
+  ...Object.fromEntries(
+    [1, 2, 3, 4, 5, 6, 7, 8, 9].map((slot) => [
+      `block${slot}`,
+      { name: `Block ${slot}`, key: `Digit${slot}` },
+    ])
+  ),
+};
+
+/**
+ * Buttons of a gamepad with the standard mapping that trigger actions
+ */
+const gamepadButtons = {
+  jump: 0, // A
+  sneak: 1, // B
+  inventory: 3, // Y
+  place: 6, // Left trigger
+  break: 7, // Right trigger
+  movementMode: 8, // Back
+  respawn: 9, // Start
+  sprint: 10, // Left stick
+};
+
+// Stick positions closer to the middle than this are ignored, since sticks
+// rarely rest exactly in the middle
+const gamepadDeadZone = 0.15;
+
+// Key the bindings are saved under in localStorage
+const storageKey = "keyBindings";
+
+/**
+ * Returns a readable name for a key
+ * @param {string} key
+ * @returns {string}
+ */
+export function getKeyName(key) {
+  if (key === null) return "None";
+  const mouseButtons = ["Left Click", "Middle Click", "Right Click"];
+  if (key.startsWith("Mouse")) {
+    return mouseButtons[key.slice(5)] ?? `Mouse ${key.slice(5)}`;
+  }
+  return key.replace(/^(Key|Digit)/, "");
+}
+
+/**
+ * Returns the default key of every action
+ * @returns {Object<string, string>}
+ */
+function getDefaultBindings() {
+  return Object.fromEntries(
+    Object.entries(actions).map(([action, { key }]) => [action, key])
+  );
+}
+
+/**
+ * Returns the position of a gamepad stick with the dead zone removed
+ * @param {number} x
+ * @param {number} y
+ * @returns {THREE.Vector2}
+ */
+function readStick(x, y) {
+  const stick = new THREE.Vector2(x, y);
+  const length = stick.length();
+  if (length < gamepadDeadZone) return stick.set(0, 0);
+
+  // Rescale so the stick still goes smoothly from 0 at the dead zone
+  const scaled =
+    (Math.min(length, 1) - gamepadDeadZone) / (1 - gamepadDeadZone);
+  return stick.multiplyScalar(scaled / length);
+}
+
+/**
+ * Turns key presses, mouse buttons and gamepads into actions, so the rest
+ * of the game doesn't depend on which keys are used. Key bindings can be
+ * changed and are saved in localStorage.
+ */
+export class InputActions {
+  /**
+   * The key bound to each action, or null if it isn't bound
+   * @type {Object<string, string | null>}
+   */
+  bindings = {};
+
+  /**
+   * Position of the left and right sticks of the gamepad, with +x to the
+   * right and +y up
+   */
+  gamepadMove = new THREE.Vector2();
+  gamepadLook = new THREE.Vector2();
+
+  /**
+   * Keys and mouse buttons that are held down
+   * @type {Set<string>}
+   */
+  #keysDown = new Set();
+
+  /**
+   * Gamepad buttons that are held down
+   * @type {Set<number>}
+   */
+  #buttonsDown = new Set();
+
+  /**
+   * Functions called when each action is triggered
+   * @type {Map<string, Function[]>}
+   */
+  #listeners = new Map();
+
+  /**
+   * The action waiting for a key to be bound to it, and the function that
+   * finishes rebinding it
+   * @type {{ action: string, resolve: Function } | null}
+   */
+  #rebinding = null;
+
+  /**
+   * @param {() => boolean} [isEnabled] Returns false while actions
+   * shouldn't be triggered, e.g. while the player isn't controlling the
+   * camera. Held keys are still tracked.
+   */
+  constructor(isEnabled = () => true) {
+    this.isEnabled = isEnabled;
+    this.loadBindings();
+
+    document.addEventListener("keydown", (event) => {
+      if (event.target instanceof HTMLInputElement) return;
+      if (this.#rebinding) {
+        // Keep the key from also pressing the focused UI button, and let
+        // Escape cancel since it also unlocks the pointer
+        event.preventDefault();
+        this.finishRebinding(event.code === "Escape" ? undefined : event.code);
+        return;
+      }
+      this.press(event.code, event);
+    });
+    document.addEventListener("keyup", (event) => {
+      this.#keysDown.delete(event.code);
+    });
+    document.addEventListener("mousedown", (event) => {
+      if (this.#rebinding) {
+        this.finishRebinding(`Mouse${event.button}`);
+        return;
+      }
+      this.press(`Mouse${event.button}`, event);
+    });
+    document.addEventListener("mouseup", (event) => {
+      this.#keysDown.delete(`Mouse${event.button}`);
+    });
+
+    // Keys released while the page isn't focused never send a keyup
+    window.addEventListener("blur", () => this.#keysDown.clear());
+  }
+
+  /**
+   * Calls `listener` whenever `action` is triggered
+   * @param {string} action
+   * @param {(event: { timeStamp: number, repeat: boolean }) => void} listener
+   * Called with the time the action was triggered at, and whether it was
+   * triggered by a held key repeating
+   */
+  on(action, listener) {
+    if (!this.#listeners.has(action)) this.#listeners.set(action, []);
+    this.#listeners.get(action).push(listener);
+  }
+
+  /**
+   * Returns true while a key or gamepad button bound to the action is held
+   * @param {string} action
+   * @returns {boolean}
+   */
+  isPressed(action) {
+    return (
+      this.#keysDown.has(this.bindings[action]) ||
+      this.#buttonsDown.has(gamepadButtons[action])
+    );
+  }
+
+  /**
+   * Returns the direction the player is being moved in from the movement
+   * keys and the gamepad's left stick, with +x to the right and +y
+   * forwards
+   * @returns {THREE.Vector2}
+   */
+  getMovement() {
+    const axis = (positive, negative) =>
+      Number(this.isPressed(positive)) - Number(this.isPressed(negative));
+    return new THREE.Vector2(
+      axis("moveRight", "moveLeft"),
+      axis("moveForward", "moveBack")
+    ).add(this.gamepadMove);
+  }
+
+  /**
+   * Records a key as held down and triggers the actions bound to it
+   * @param {string} key
+   * @param {{ timeStamp: number, repeat: boolean }} event
+   */
+  press(key, event) {
+    this.#keysDown.add(key);
+    for (const [action, boundKey] of Object.entries(this.bindings)) {
+      if (boundKey === key) this.trigger(action, event);
+    }
+  }
+
+  /**
+   * Calls the listeners of an action, unless actions are disabled
+   * @param {string} action
+   * @param {{ timeStamp: number, repeat: boolean }} event
+   */
+  trigger(action, event) {
+    if (!this.isEnabled()) return;
+
+    const { timeStamp, repeat } = event;
+    for (const listener of this.#listeners.get(action) ?? []) {
+      listener({ timeStamp, repeat });
+    }
+  }
+
+  /**
+   * Reads the sticks and buttons of the first connected gamepad. Gamepads
+   * can't be listened to, so this has to be called regularly.
+   */
+  pollGamepad() {
+    const gamepads = Array.from(navigator.getGamepads?.() ?? []);
+    const gamepad = gamepads.find((pad) => pad?.connected);
+    if (!gamepad) {
+      this.gamepadMove.set(0, 0);
+      this.gamepadLook.set(0, 0);
+      this.#buttonsDown.clear();
+      return;
+    }
+
+    const [leftX = 0, leftY = 0, rightX = 0, rightY = 0] = gamepad.axes;
+    this.gamepadMove.copy(readStick(leftX, -leftY));
+    this.gamepadLook.copy(readStick(rightX, -rightY));
+
+    for (const [action, index] of Object.entries(gamepadButtons)) {
+      const pressed = gamepad.buttons[index]?.pressed ?? false;
+      if (pressed && !this.#buttonsDown.has(index)) {
+        this.#buttonsDown.add(index);
+        this.trigger(action, { timeStamp: performance.now(), repeat: false });
+      } else if (!pressed) {
+        this.#buttonsDown.delete(index);
+      }
+    }
+  }
+
+  /**
+   * Waits for the next key or mouse button to be pressed and binds it to
+   * the action. An action that was already bound to that key gets the
+   * action's old key instead. Pressing Escape cancels.
+   * @param {string} action
+   * @returns {Promise<void>} Resolves once the action is bound or
+   * rebinding is canceled
+   */
+  rebind(action) {
+    this.finishRebinding();
+    return new Promise((resolve) => {
+      this.#rebinding = { action, resolve };
+    });
+  }
+
+  /**
+   * Binds the key to the action being rebound
+   * @param {string} [key] Leave out to cancel rebinding
+   */
+  finishRebinding(key) {
+    if (!this.#rebinding) return;
+    const { action, resolve } = this.#rebinding;
+    this.#rebinding = null;
+
+    if (key !== undefined) {
+      for (const [other, boundKey] of Object.entries(this.bindings)) {
+        if (boundKey === key) this.bindings[other] = this.bindings[action];
+      }
+      this.bindings[action] = key;
+      this.saveBindings();
+    }
+    resolve();
+  }
+
+  /**
+   * Puts every action back on its default key
+   */
+  resetBindings() {
+    this.finishRebinding();
+    this.bindings = getDefaultBindings();
+    this.saveBindings();
+  }
+
+  /**
+   * Loads the bindings saved in localStorage. Actions that weren't saved
+   * (e.g. because they were added later) use their default key.
+   */
+  loadBindings() {
+    this.bindings = getDefaultBindings();
+
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch (error) {
+      console.error("Failed to load the key bindings", error);
+    }
+
+    for (const [action, key] of Object.entries(saved)) {
+      if (action in actions && (typeof key === "string" || key === null)) {
+        this.bindings[action] = key;
+      }
+    }
+  }
+
+  /**
+   * Saves the bindings in localStorage. The bindings still apply until the
+   * page is closed if they can't be saved (e.g. when storage is disabled).
+   */
+  saveBindings() {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(this.bindings));
+    } catch (error) {
+      console.error("Failed to save the key bindings", error);
+    }
+  }
+}
@@ -0,0 +1,328 @@
+import { blocks } from "./blocks.js";
+import { getBlockIndex } from "./blockStorage.js";
+
+/**
+ * Brightest light level. Light levels go from 0 (dark) up to this.
+ */
+export const maxLightLevel = 15;
+
+/**
+ * The light of a block is stored in a single byte, with the skylight in
+ * the upper four bits and the light given off by blocks in the lower four.
+ * These are the shifts of the two channels within the byte.
+ */
+export const skyLight = 4;
+export const blockLight = 0;
+
+/**
+ * Light of a block that is open to the sky and has no block light
+ */
+export const fullSkyLight = maxLightLevel << skyLight;
+
+/**
+ * Dimmest brightness a face is drawn with, so unlit caves aren't pitch black
+ */
+const minBrightness = 0.03;
+
+/**
+ * Brightness (from 0 to 1) of each light level. Every level is a bit darker
+ * than the one above it, so light fades out quickly at the edges.
+ * @type {number[]}
+ */
+const lightBrightness = [];
+for (let level = 0; level <= maxLightLevel; level++) {
+  const darkness = 1 - level / maxLightLevel;
+  lightBrightness[level] = Math.max(
+    minBrightness,
+    (1 - darkness) / (darkness * 3 + 1)
+  );
+}
+
+/**
+ * Light given off by each block, indexed by block id
+ * @type {number[]}
+ */
+const lightEmission = [];
+
+/**
+ * How many levels light loses on top of the usual one when it passes
+ * through each block, indexed by block id. Opaque blocks absorb all of it.
+ * @type {number[]}
+ */
+const lightAbsorption = [];
+
+for (const blockType of Object.values(blocks)) {
+  lightEmission[blockType.id] = blockType.lightLevel ?? 0;
+  if (blockType.id === blocks.empty.id || blockType.shape === "cross") {
+    lightAbsorption[blockType.id] = 0;
+  } else if (blockType.transparent || blockType.translucent) {
+    lightAbsorption[blockType.id] = 1;
+  } else {
+    lightAbsorption[blockType.id] = maxLightLevel;
+  }
+}
+
+// Offsets to the six blocks next to a block
+const directions = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
+
+/**
+ * Reads and writes the light of blocks, wherever they are stored
+ * @typedef {{
+ *  getBlockId: (x: number, y: number, z: number) => number | null,
+ *  getLight: (x: number, y: number, z: number) => number,
+ *  setLight: (x: number, y: number, z: number, light: number) => void
+ * }} LightAccess `getBlockId` returns null for blocks that light can't
+ * reach, such as blocks outside of the world
+ */
+
+/**
+ * Returns the level of one channel of a block's light
+ * @param {number} light
+ * @param {number} channel `skyLight` or `blockLight`
+ * @returns {number}
+ */
+export function getLightLevel(light, channel) {
+  return (light >> channel) & maxLightLevel;
+}
+
+/**
+ * Returns the light with one of its channels changed to `level`
+ * @param {number} light
+ * @param {number} channel `skyLight` or `blockLight`
+ * @param {number} level
+ * @returns {number}
+ */
+function setLightLevel(light, channel, level) {
+  return (light & ~(maxLightLevel << channel)) | (level << channel);
+}
+
+/**
+ * Returns the brightness (from 0 to 1) a face lit by `light` is drawn with
+ * @param {number} light
+ * @returns {number}
+ */
+export function getLightBrightness(light) {
+  return lightBrightness[
+    Math.max(getLightLevel(light, skyLight), getLightLevel(light, blockLight))
+  ];
+}
+
+/**
+ * Returns the light given off by a block
+ * @param {number} blockId
+ * @returns {number}
+ */
+export function getLightEmission(blockId) {
+  return lightEmission[blockId] ?? 0;
+}
+
+/**
+ * Returns the level light has after moving from a block at `level` into
+ * the neighboring block `neighborId`. Skylight at full strength shines
+ * straight down through blocks that don't absorb any light.
+ * @param {number} level
+ * @param {number} neighborId
+ * @param {number} channel
+ * @param {number} dy Direction the light moves along the y-axis
+ * @returns {number}
+ */
+function getNeighborLevel(level, neighborId, channel, dy) {
+  const absorption = lightAbsorption[neighborId] ?? maxLightLevel;
+  if (
+    channel === skyLight &&
+    dy === -1 &&
+    level === maxLightLevel &&
+    absorption === 0
+  ) {
+    return maxLightLevel;
+  }
+  return Math.max(0, level - 1 - absorption);
+}
+
+/**
+ * Spreads light outwards from the blocks in `queue` with a breadth-first
+ * flood fill, until it fades out or is absorbed
+ * @param {number[]} queue Coordinates of the blocks to spread light from as
+ * (x, y, z) triples. Blocks reached by the light are added to the end.
+ * @param {number} channel `skyLight` or `blockLight`
+ * @param {LightAccess} access
+ */
+export function spreadLight(queue, channel, access) {
+  for (let i = 0; i < queue.length; i += 3) {
+    const x = queue[i];
+    const y = queue[i + 1];
+    const z = queue[i + 2];
+
+    const level = getLightLevel(access.getLight(x, y, z), channel);
+    if (level <= 1) continue;
+
+    for (const [dx, dy, dz] of directions) {
+      const neighborId = access.getBlockId(x + dx, y + dy, z + dz);
+      if (neighborId === null) continue;
+
+      const neighborLevel = getNeighborLevel(level, neighborId, channel, dy);
+      const neighborLight = access.getLight(x + dx, y + dy, z + dz);
+      if (getLightLevel(neighborLight, channel) >= neighborLevel) continue;
+
+      access.setLight(
+        x + dx,
+        y + dy,
+        z + dz,
+        setLightLevel(neighborLight, channel, neighborLevel)
+      );
+      queue.push(x + dx, y + dy, z + dz);
+    }
+  }
+}
+
+/**
+ * Removes the light that came from the blocks in `queue`, which have
+ * already been darkened. Light that reached a block from somewhere else
+ * is left alone, and its blocks are returned so it can be spread back
+ * into the darkened area with `spreadLight`.
+ * @param {number[]} queue Coordinates and previous light level of the
+ * darkened blocks as (x, y, z, level) quadruples
+ * @param {number} channel `skyLight` or `blockLight`
+ * @param {LightAccess} access
+ * @returns {number[]} Blocks to spread light from as (x, y, z) triples
+ */
+export function removeLight(queue, channel, access) {
+  const refill = [];
+
+  for (let i = 0; i < queue.length; i += 4) {
+    const x = queue[i];
+    const y = queue[i + 1];
+    const z = queue[i + 2];
+    const level = queue[i + 3];
+
+    for (const [dx, dy, dz] of directions) {
+      const neighborId = access.getBlockId(x + dx, y + dy, z + dz);
+      if (neighborId === null) continue;
+
+      const neighborLight = access.getLight(x + dx, y + dy, z + dz);
+      const neighborLevel = getLightLevel(neighborLight, channel);
+      if (neighborLevel === 0) continue;
+
+      // Neighbors dimmer than the block (or lit by the same column of
+      // skylight) got their light from it
+      const litByBlock =
+        neighborLevel < level ||
+        (channel === skyLight &&
+          dy === -1 &&
+          neighborLevel === maxLightLevel &&
+          level === maxLightLevel);
+
+      if (!litByBlock) {
+        refill.push(x + dx, y + dy, z + dz);
+        continue;
+      }
+
+      access.setLight(
+        x + dx,
+        y + dy,
+        z + dz,
+        setLightLevel(neighborLight, channel, 0)
+      );
+      queue.push(x + dx, y + dy, z + dz, neighborLevel);
+
+      // Blocks that give off light keep their own light
+      const emission =
+        channel === blockLight ? getLightEmission(neighborId) : 0;
+      if (emission > 0) {
+        access.setLight(
+          x + dx,
+          y + dy,
+          z + dz,
+          setLightLevel(neighborLight, channel, emission)
+        );
+        refill.push(x + dx, y + dy, z + dz);
+      }
+    }
+  }
+
+  return refill;
+}
+
+/**
+ * Computes the light of every block in a chunk from the chunk's own blocks.
+ * Skylight shines down each column until something absorbs it, then both
+ * skylight and the light given off by blocks are flood filled through the
+ * chunk. Light coming from the neighboring chunks is added once they are
+ * loaded (see `WorldLighting`).
+ * @param {{ width: number, height: number }} size
+ * @param {Uint16Array} blockIds Ordered by x, then y, then z
+ * @returns {Uint8Array} Light of each block, in the same order as `blockIds`
+ */
+export function computeChunkLight(size, blockIds) {
+  const { width, height } = size;
+  const light = new Uint8Array(blockIds.length);
+
+  /** @type {LightAccess} */
+  const access = {
+    getBlockId: (x, y, z) =>
+      x >= 0 && x < width && y >= 0 && y < height && z >= 0 && z < width
+        ? blockIds[getBlockIndex(size, x, y, z)]
+        : null,
+    getLight: (x, y, z) => light[getBlockIndex(size, x, y, z)],
+    setLight: (x, y, z, value) => {
+      light[getBlockIndex(size, x, y, z)] = value;
+    },
+  };
+
+  // Lowest block of each column that gets skylight at full strength
+  const skyBottom = new Int32Array(width * width).fill(height);
+
+  for (let x = 0; x < width; x++) {
+    for (let z = 0; z < width; z++) {
+      let level = maxLightLevel;
+      for (let y = height - 1; y >= 0 && level > 0; y--) {
+        const blockId = blockIds[getBlockIndex(size, x, y, z)];
+        level = getNeighborLevel(level, blockId, skyLight, -1);
+        light[getBlockIndex(size, x, y, z)] = level << skyLight;
+        if (level === maxLightLevel) skyBottom[x * width + z] = y;
+      }
+    }
+  }
+
+  // Skylight only has to spread from blocks next to a column that is
+  // darker, which are the blocks below the full-strength part of a
+  // neighboring column
+  const skyQueue = [];
+  const blockQueue = [];
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      for (let z = 0; z < width; z++) {
+        const index = getBlockIndex(size, x, y, z);
+        const level = getLightLevel(light[index], skyLight);
+        if (
+          level > 1 &&
+          (level < maxLightLevel ||
+            (x > 0 && y < skyBottom[(x - 1) * width + z]) ||
+            (x < width - 1 && y < skyBottom[(x + 1) * width + z]) ||
+            (z > 0 && y < skyBottom[x * width + z - 1]) ||
+            (z < width - 1 && y < skyBottom[x * width + z + 1]))
+        ) {
+          skyQueue.push(x, y, z);
+        }
+
+        const emission = getLightEmission(blockIds[index]);
+        if (emission > 0) {
+          light[index] = setLightLevel(light[index], blockLight, emission);
+          blockQueue.push(x, y, z);
+        }
+      }
+    }
+  }
+
+  spreadLight(skyQueue, skyLight, access);
+  spreadLight(blockQueue, blockLight, access);
+
+  return light;
+}
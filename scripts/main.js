@@ -5,8 +5,15 @@ import { World } from "./world.js";
 import { createUI } from "./ui.js";
 import { Player } from "./player.js";
 import { Physics } from "./physics.js";
+import { SaveManager } from "./saveManager.js";
+import { DayNightCycle } from "./dayNightCycle.js";
+import { updateBlockTextures } from "./blockMaterials.js";
+import { getBlockType } from "./blocks.js";
 
 const stats = new Stats();
+// Extra panels for comparing the cost of the meshing modes (click to cycle)
+const drawCallsPanel = stats.addPanel(new Stats.Panel("CALLS", "#ff8", "#221"));
+const trianglesPanel = stats.addPanel(new Stats.Panel("TRIS", "#f8f", "#212"));
 document.body.appendChild(stats.dom);
 
 //Renderer setup
@@ -29,6 +36,9 @@ orbitCamera.lookAt(0, 0, 0);
 // Scene setup
 const scene = new THREE.Scene();
 scene.fog = new THREE.Fog(0x80a0e0, 50, 100);
+const skyFog = scene.fog;
+// Thick blue fog shown while the camera is under water
+const underwaterFog = new THREE.Fog(0x1e4d8c, 0.1, 12);
 const world = new World();
 scene.add(world);
 
@@ -38,31 +48,16 @@ const controls = new OrbitControls(orbitCamera, renderer.domElement);
 
 controls.update();
 
-const player = new Player(scene);
+const player = new Player(scene, world);
 
 const physics = new Physics(scene);
+physics.addBody(player);
 
-const sun = new THREE.DirectionalLight();
-function setupLights() {
-  sun.position.set(50, 50, 50);
-  sun.castShadow = true;
-  sun.shadow.camera.left = -40;
-  sun.shadow.camera.right = 40;
-  sun.shadow.camera.top = 40;
-  sun.shadow.camera.bottom = -40;
-  sun.shadow.camera.near = 0.1;
-  sun.shadow.camera.far = 200;
-  sun.shadow.bias = -0.001;
-  sun.shadow.mapSize = new THREE.Vector2(2048, 2048);
-  scene.add(sun);
-  scene.add(sun.target);
-
-  const shadowHelper = new THREE.CameraHelper(sun.shadow.camera);
-  // scene.add(shadowHelper);
-  const ambientLight = new THREE.AmbientLight();
-  ambientLight.intensity = 0.1;
-  scene.add(ambientLight);
-}
+// Sun, moon and sky lighting
+const dayNightCycle = new DayNightCycle(skyFog);
+scene.add(dayNightCycle);
+
+const saveManager = new SaveManager(world, player, dayNightCycle);
 
 let previousTime = performance.now();
 
@@ -71,21 +66,99 @@ function animate() {
   let currentTime = performance.now();
   let deltaTime = (currentTime - previousTime) / 1000;
   requestAnimationFrame(animate);
-  physics.update(deltaTime, player, world);
-  world.update(player);
-
-  sun.position.copy(player.position);
-  sun.position.sub(new THREE.Vector3(-50, -50, -50));
-  sun.target.position.copy(player.position);
-  renderer.render(
-    scene,
-    player.controls.isLocked ? player.camera : orbitCamera
-  );
+  const camera = player.controls.isLocked ? player.camera : orbitCamera;
+  // Gamepads can't be listened to, so they are read once every frame
+  player.actions.pollGamepad();
+  physics.update(deltaTime, world);
+  world.update(player, camera);
+  world.updateBlocks(deltaTime, player);
+  player.update(world, deltaTime);
+
+  dayNightCycle.update(deltaTime, player.position, camera);
+  updateBlockTextures(currentTime / 1000);
+
+  // Swap in the underwater fog only while rendering, so the sky fog is
+  // the one that is still updated everywhere else
+  scene.fog = world.isInWater(camera.position) ? underwaterFog : skyFog;
+  renderer.setClearColor(scene.fog.color);
+  renderer.render(scene, camera);
+  scene.fog = skyFog;
   stats.update();
+  drawCallsPanel.update(renderer.info.render.calls, 1000);
+  trianglesPanel.update(renderer.info.render.triangles, 1000000);
 
   previousTime = currentTime;
 }
 
+/**
+ * Returns true if the player can change the selected block.
+ * Spectators can't change blocks.
+ * @returns {boolean}
+ */
+function canEditSelectedBlock() {
+  if (!player.controls.isLocked || !player.selectedCoords) return false;
+  return player.movementMode !== "spectator";
+}
+
+/**
+ * Returns true if a block of type `blockId` placed at `coords` would
+ * overlap the player and trap them. Blocks are centered on integer
+ * coordinates, and blocks that only touch the player don't overlap them.
+ * @param {THREE.Vector3} coords
+ * @param {number} blockId
+ * @returns {boolean}
+ */
+function blockOverlapsPlayer(coords, blockId) {
+  if (!player.collisions || getBlockType(blockId).solid === false) {
+    return false;
+  }
+  const box = player.getBoundingBox();
+  return ["x", "y", "z"].every(
+    (axis) =>
+      box.min[axis] < coords[axis] + 0.5 && box.max[axis] > coords[axis] - 0.5
+  );
+}
+
+// Break the selected block
+player.actions.on("break", () => {
+  if (!canEditSelectedBlock()) return;
+  world.removeBlock(
+    player.selectedCoords.x,
+    player.selectedCoords.y,
+    player.selectedCoords.z
+  );
+});
+
+// Place the active block against the selected face
+player.actions.on("place", () => {
+  if (!canEditSelectedBlock() || player.selectedNormal.lengthSq() === 0) {
+    return;
+  }
+  const placeCoords = player.selectedCoords.clone().add(player.selectedNormal);
+  if (blockOverlapsPlayer(placeCoords, player.activeBlockId)) return;
+  world.addBlock(
+    placeCoords.x,
+    placeCoords.y,
+    placeCoords.z,
+    player.activeBlockId
+  );
+});
+
+// Clicking the world (without dragging the orbit camera) takes control of
+// the player
+let pointerDownPosition = null;
+renderer.domElement.addEventListener("pointerdown", (event) => {
+  pointerDownPosition = { x: event.clientX, y: event.clientY };
+});
+renderer.domElement.addEventListener("click", (event) => {
+  if (player.controls.isLocked || !pointerDownPosition) return;
+  const dragged = Math.hypot(
+    event.clientX - pointerDownPosition.x,
+    event.clientY - pointerDownPosition.y
+  );
+  if (dragged < 5) player.controls.lock();
+});
+
 window.addEventListener("resize", () => {
   orbitCamera.aspect = window.innerWidth / window.innerHeight;
   orbitCamera.updateProjectionMatrix();
@@ -94,6 +167,5 @@ window.addEventListener("resize", () => {
   renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
-setupLights();
-createUI(scene, world, player, physics);
+createUI(scene, world, player, physics, saveManager, dayNightCycle);
 animate();
@@ -1,6 +1,6 @@
 import * as THREE from "three";
 import { blocks } from "./blocks";
-import { Player } from "./player";
+import { PhysicsBody } from "./physicsBody";
 import { World } from "./world";
 
 const collisionMaterial = new THREE.MeshBasicMaterial({
@@ -10,22 +10,75 @@ const collisionMaterial = new THREE.MeshBasicMaterial({
 });
 const collisionGeometry = new THREE.BoxGeometry(1.001, 1.001, 1.001);
 
+// Ids of the blocks that bodies collide with
+const solidBlockIds = new Set(
+  Object.values(blocks)
+    .filter((blockType) => blockType.id !== blocks.empty.id)
+    .filter((blockType) => blockType.solid !== false)
+    .map((blockType) => blockType.id)
+);
+
 const contactMaterial = new THREE.MeshBasicMaterial({
   wireframe: true,
   color: 0x00ff00,
 });
 const contactGeometry = new THREE.SphereGeometry(0.05, 6, 6);
 
+// Gap (in blocks) below which a body counts as touching a block, to
+// allow for rounding errors
+const epsilon = 1e-6;
+
+// While sneaking, bodies only move where there is a block less than
+// this far below their feet
+const sneakDropHeight = 0.5;
+
+// Distance (in blocks) a sneaking body's move is shortened by at a time
+// until the body is still standing on a block
+const sneakEdgeStep = 0.01;
+
+const zero = new THREE.Vector3();
+
+/**
+ * Returns true if two boxes overlap along an axis by more than just
+ * touching
+ * @param {THREE.Box3} a
+ * @param {THREE.Box3} b
+ * @param {number} axis 0, 1 or 2 for the x, y or z-axis
+ * @returns {boolean}
+ */
+function overlapsOnAxis(a, b, axis) {
+  return (
+    a.min.getComponent(axis) < b.max.getComponent(axis) - epsilon &&
+    a.max.getComponent(axis) > b.min.getComponent(axis) + epsilon
+  );
+}
+
 export class Physics {
   // Acceleration due to gravity
   gravity = 32;
 
+  // Fraction of gravity that is canceled out while a body is in water
+  buoyancy = 0.8;
+  // How quickly water slows down a body's vertical velocity
+  waterDrag = 5;
+  // Upward acceleration while a body is swimming
+  swimAcceleration = 40;
+  // Upward speed while swimming into a wall, so bodies can climb out of
+  // the water onto the shore
+  swimClimbSpeed = 4;
+
   // Physic simulation rate
   simulationRate = 250;
   stepSize = 1 / this.simulationRate;
   // Accumulator to keep track of leftover dt
   accumulator = 0;
 
+  /**
+   * Bodies moved by the physics
+   * @type {Set<PhysicsBody>}
+   */
+  bodies = new Set();
+
   constructor(scene) {
     this.helpers = new THREE.Group();
     this.helpers.visible = false;
@@ -33,196 +86,296 @@ export class Physics {
   }
 
   /**
-   * Moves the physics simulation forward in time by 'dt'
+   * Adds a body to be moved by the physics
+   * @param {PhysicsBody} body
+   */
+  addBody(body) {
+    this.bodies.add(body);
+  }
+
+  /**
+   * Stops moving a body
+   * @param {PhysicsBody} body
+   */
+  removeBody(body) {
+    this.bodies.delete(body);
+  }
+
+  /**
+   * Moves the physics simulation forward in time by 'dt'. Every body is
+   * moved in fixed size steps, so they all behave the same regardless of
+   * the frame rate.
    * @param {number} dt
-   * @param {Player} player
    * @param {World} world
    */
-  update(dt, player, world) {
+  update(dt, world) {
     this.accumulator += dt;
     while (this.accumulator >= this.stepSize) {
-      player.velocity.y -= this.gravity * this.stepSize;
-      player.applyInput(this.stepSize);
-      this.detectCollisions(player, world);
+      this.helpers.clear();
+      for (const body of this.bodies) {
+        if (!body.active) continue;
+        this.applyForces(body, world);
+        body.applyInput(this.stepSize);
+        this.detectCollisions(body, world);
+      }
       this.accumulator -= this.stepSize;
     }
+  }
+
+  /**
+   * Applies gravity and drag to a body, along with buoyancy, drag and
+   * swimming while the body is in water
+   * @param {PhysicsBody} body
+   * @param {World} world
+   */
+  applyForces(body, world) {
+    const center = body.getBoundingBox().getCenter(new THREE.Vector3());
+    body.inWater = world.isInWater(center);
+
+    const gravity = this.gravity * body.gravityScale;
+    body.velocity.multiplyScalar(Math.exp(-body.drag * this.stepSize));
+
+    if (!body.inWater) {
+      body.velocity.y -= gravity * this.stepSize;
+      return;
+    }
 
-    player.updateBoundsHelper();
+    body.velocity.y -= gravity * (1 - this.buoyancy) * this.stepSize;
+    if (body.swimming) {
+      body.velocity.y += this.swimAcceleration * this.stepSize;
+      if (body.againstWall) {
+        body.velocity.y = Math.max(body.velocity.y, this.swimClimbSpeed);
+      }
+    }
+    body.velocity.y *= Math.exp(-this.waterDrag * this.stepSize);
   }
 
   /**
-   * Main function for collision detection
+   * Moves a body by its velocity over one step. The move is swept along
+   * the y-axis, then the x-axis, then the z-axis, and stops at the first
+   * solid block in the way on each axis, so bodies can't pass through
+   * blocks however fast they move or catch on the seams between them.
+   * @param {PhysicsBody} body
+   * @param {World} world
    */
-  detectCollisions(player, world) {
-    player.onGround = false;
-    this.helpers.clear();
+  detectCollisions(body, world) {
+    const wasOnGround = body.onGround;
+    body.onGround = false;
+
+    if (!body.collisions) {
+      body.againstWall = false;
+      body.position.addScaledVector(body.velocity, this.stepSize);
+      return;
+    }
 
-    const candidates = this.broadPhase(player, world);
-    const collisions = this.narrowPhase(candidates, player);
+    const box = body.getBoundingBox();
+    const displacement = body.velocity.clone().multiplyScalar(this.stepSize);
+    const candidates = this.broadPhase(box, displacement, body, world);
 
-    if (collisions.length > 0) {
-      this.resolveCollisions(collisions, player);
+    // Sneaking keeps bodies from walking off the edge of the blocks
+    // they are standing on
+    if (body.sneaking && wasOnGround) {
+      this.limitToSupport(box, displacement, candidates);
     }
+
+    const start = box.clone();
+    const moved = this.moveBox(box, displacement, candidates);
+
+    // Blocked sideways while walking, so try to step up onto the block in
+    // the way. The step is only taken if it gets the body further.
+    if (wasOnGround && (moved.hitX || moved.hitZ) && body.stepHeight > 0) {
+      const stepBox = start.clone();
+      const up = this.sweep(stepBox, 1, body.stepHeight, candidates);
+      stepBox.translate(new THREE.Vector3(0, up.distance, 0));
+      const stepped = this.moveBox(
+        stepBox,
+        new THREE.Vector3(displacement.x, 0, displacement.z),
+        candidates
+      );
+      const down = this.sweep(stepBox, 1, -up.distance, candidates);
+      stepBox.translate(new THREE.Vector3(0, down.distance, 0));
+      stepped.hitY = down.contact !== null;
+
+      if (
+        stepped.hitY &&
+        stepped.horizontalDistanceSq > moved.horizontalDistanceSq + epsilon
+      ) {
+        box.copy(stepBox);
+        Object.assign(moved, stepped);
+        body.velocity.y = 0;
+      }
+    }
+
+    if (moved.hitY) {
+      if (displacement.y < 0) body.onGround = true;
+      body.velocity.y = 0;
+    }
+    if (moved.hitX) body.velocity.x = 0;
+    if (moved.hitZ) body.velocity.z = 0;
+    body.againstWall = moved.hitX || moved.hitZ;
+
+    body.setBoundingBox(box);
   }
 
   /**
-   * Performs a rough search against the world to return all
-   * possible blocks the player may be colliding with
-   * @returns {{ id: number, instanceId: number }[]}
+   * Performs a rough search against the world to return the bounding boxes
+   * of all the solid blocks a body may run into while moving by
+   * 'displacement', including while stepping up or sneaking
+   * @param {THREE.Box3} box
+   * @param {THREE.Vector3} displacement
+   * @param {PhysicsBody} body
+   * @param {World} world
+   * @returns {THREE.Box3[]}
    */
-  broadPhase(player, world) {
+  broadPhase(box, displacement, body, world) {
     const candidates = [];
 
-    // Get the block containing the center of the camera
-    const playerBlockPos = {
-      x: Math.floor(player.position.x),
-      y: Math.floor(player.position.y),
-      z: Math.floor(player.position.z),
-    };
+    const region = box.clone();
+    region.min.add(displacement.clone().min(zero));
+    region.max.add(displacement.clone().max(zero));
+    region.max.y += body.stepHeight;
+    region.min.y -= sneakDropHeight;
 
-    // Get the block extents of the player
-    const minX = Math.floor(player.position.x - player.radius);
-    const maxX = Math.ceil(player.position.x + player.radius);
-    const minY = Math.floor(player.position.y - player.height);
-    const maxY = Math.ceil(player.position.y);
-    const minZ = Math.floor(player.position.z - player.radius);
-    const maxZ = Math.ceil(player.position.z + player.radius);
+    // Blocks are centered on integer coordinates
+    const minX = Math.round(region.min.x);
+    const maxX = Math.round(region.max.x);
+    const minY = Math.round(region.min.y);
+    const maxY = Math.round(region.max.y);
+    const minZ = Math.round(region.min.z);
+    const maxZ = Math.round(region.max.z);
 
-    // Loop through all blocks next to the block the center of the player is in
-    // If they aren't empty, then they are a possible collision candidate
     for (let x = minX; x <= maxX; x++) {
       for (let y = minY; y <= maxY; y++) {
         for (let z = minZ; z <= maxZ; z++) {
           const blockId = world.getBlock(x, y, z)?.id;
-          if (blockId && blockId !== blocks.empty.id) {
+          if (solidBlockIds.has(blockId)) {
             const block = { x, y, z };
-            candidates.push(block);
+            candidates.push(
+              new THREE.Box3(
+                new THREE.Vector3(x - 0.5, y - 0.5, z - 0.5),
+                new THREE.Vector3(x + 0.5, y + 0.5, z + 0.5)
+              )
+            );
             this.addCollisionHelper(block);
           }
         }
       }
     }
 
-    //console.log(`Broadphase Candidates: ${candidates.length}`);
-
     return candidates;
   }
 
   /**
-   * Narrows down the blocks found in the broad-phase to the set
-   * of blocks the player is actually colliding with
-   * @param {{ id: number, instanceId: number }[]} candidates
-   * @returns
+   * Moves 'box' by 'displacement' one axis at a time (y, x, then z),
+   * stopping it at the blocks in its way
+   * @param {THREE.Box3} box
+   * @param {THREE.Vector3} displacement
+   * @param {THREE.Box3[]} candidates
+   * @returns {{ hitX: boolean, hitY: boolean, hitZ: boolean,
+   *   horizontalDistanceSq: number }} Which axes the box was stopped on,
+   * and the square of how far it moved in the xz-plane
    */
-  narrowPhase(candidates, player) {
-    const collisions = [];
+  moveBox(box, displacement, candidates) {
+    const moved = new THREE.Vector3();
+    const hits = [false, false, false];
 
-    for (const block of candidates) {
-      // Get the point on the block that is closest to the center of the player's bounding cylinder
-      const closestPoint = {
-        x: Math.max(block.x - 0.5, Math.min(player.position.x, block.x + 0.5)),
-        y: Math.max(
-          block.y - 0.5,
-          Math.min(player.position.y - player.height / 2, block.y + 0.5)
-        ),
-        z: Math.max(block.z - 0.5, Math.min(player.position.z, block.z + 0.5)),
-      };
-
-      // Get distance along each axis between closest point and the center
-      // of the player's bounding cylinder
-      const dx = closestPoint.x - player.position.x;
-      const dy = closestPoint.y - (player.position.y - player.height / 2);
-      const dz = closestPoint.z - player.position.z;
-
-      if (this.pointInPlayerBoundingCylinder(closestPoint, player)) {
-        // Compute the overlap between the point and the player's bounding
-        // cylinder along the y-axis and in the xz-plane
-        const overlapY = player.height / 2 - Math.abs(dy);
-        const overlapXZ = player.radius - Math.sqrt(dx * dx + dz * dz);
-
-        // Compute the normal of the collision (pointing away from the contact point)
-        // and the overlap between the point and the player's bounding cylinder
-        let normal, overlap;
-        if (overlapY < overlapXZ) {
-          normal = new THREE.Vector3(0, -Math.sign(dy), 0);
-          overlap = overlapY;
-          player.onGround = true;
-        } else {
-          normal = new THREE.Vector3(-dx, 0, -dz).normalize();
-          overlap = overlapXZ;
-        }
+    for (const axis of [1, 0, 2]) {
+      const wanted = displacement.getComponent(axis);
+      if (wanted === 0) continue;
 
-        collisions.push({
-          block,
-          contactPoint: closestPoint,
-          normal,
-          overlap,
-        });
+      const { distance, contact } = this.sweep(box, axis, wanted, candidates);
+      moved.setComponent(axis, distance);
+      box.translate(new THREE.Vector3().setComponent(axis, distance));
 
-        this.addContactPointerHelper(closestPoint);
+      if (contact) {
+        hits[axis] = true;
+        this.addContactPointerHelper(contact);
       }
     }
 
-    //console.log(`Narrowphase Collisions: ${collisions.length}`);
-
-    return collisions;
+    return {
+      hitX: hits[0],
+      hitY: hits[1],
+      hitZ: hits[2],
+      horizontalDistanceSq: moved.x * moved.x + moved.z * moved.z,
+    };
   }
 
   /**
-   * Resolves each of the collisions found in the narrow-phase
-   * @param {*} collisions
-   * @param {Player} player
+   * Finds how far 'box' can move along an axis before it hits one of the
+   * blocks. Blocks the box already overlaps are ignored so a body can
+   * always get out of a block placed inside it.
+   * @param {THREE.Box3} box
+   * @param {number} axis 0, 1 or 2 for the x, y or z-axis
+   * @param {number} distance Distance to move, negative to move backwards
+   * @param {THREE.Box3[]} candidates
+   * @returns {{ distance: number, contact: THREE.Vector3 | null }} How far
+   * the box can move, and the point where it touches the block that
+   * stopped it (or null if nothing did)
    */
-  resolveCollisions(collisions, player) {
-    // Resolve the collisions in order of the smallest overlap to the largest
-    collisions.sort((a, b) => {
-      return a.overlap < b.overlap;
-    });
-
-    for (const collision of collisions) {
-      // We need to re-check if the contact point is inside the player bounding
-      // cylinder for each collision since the player position is updated after
-      // each collision is resolved
-      if (!this.pointInPlayerBoundingCylinder(collision.contactPoint, player))
-        continue;
-
-      // Adjust position of player so the block and player are no longer overlapping
-      let deltaPosition = collision.normal.clone();
-      deltaPosition.multiplyScalar(collision.overlap);
-      player.position.add(deltaPosition);
-
-      // Get the magnitude of the player's velocity along the collision normal
-      let magnitude = player.worldVelocity.dot(collision.normal);
-      // Remove that part of the velocity from the player's velocity
-      let velocityAdjustment = collision.normal
-        .clone()
-        .multiplyScalar(magnitude);
-
-      // Apply the velocity to the player
-      player.applyWorldDeltaVelocity(velocityAdjustment.negate());
+  sweep(box, axis, distance, candidates) {
+    const axisA = (axis + 1) % 3;
+    const axisB = (axis + 2) % 3;
+    const direction = Math.sign(distance);
+    let blocked = false;
+
+    for (const block of candidates) {
+      if (!overlapsOnAxis(box, block, axisA)) continue;
+      if (!overlapsOnAxis(box, block, axisB)) continue;
+
+      if (direction > 0) {
+        const gap = block.min.getComponent(axis) - box.max.getComponent(axis);
+        if (gap > -epsilon && gap < distance) {
+          distance = Math.max(gap, 0);
+          blocked = true;
+        }
+      } else {
+        const gap = block.max.getComponent(axis) - box.min.getComponent(axis);
+        if (gap < epsilon && gap > distance) {
+          distance = Math.min(gap, 0);
+          blocked = true;
+        }
+      }
     }
+
+    if (!blocked) return { distance, contact: null };
+
+    // Middle of the face of the box that touches the block
+    const face = direction > 0 ? box.max : box.min;
+    const contact = box.getCenter(new THREE.Vector3());
+    contact.setComponent(axis, face.getComponent(axis) + distance);
+    return { distance, contact };
   }
 
   /**
-   * Returns true if the point 'p' is inside the player's bounding cylinder
-   * @param {{ x: number, y: number, z: number }} p
-   * @param {Player} player
-   * @returns {boolean}
+   * Shortens the horizontal part of 'displacement' until the box would
+   * still be standing on a block after moving, like sneaking in Minecraft
+   * @param {THREE.Box3} box
+   * @param {THREE.Vector3} displacement
+   * @param {THREE.Box3[]} candidates
    */
-  pointInPlayerBoundingCylinder(p, player) {
-    const dx = p.x - player.position.x;
-    const dy = p.y - (player.position.y - player.height / 2);
-    const dz = p.z - player.position.z;
-    const r_sq = dx * dx + dz * dz;
-
-    // Check if contact point is inside the player's bounding cylinder
-    return (
-      Math.abs(dy) < player.height / 2 && r_sq < player.radius * player.radius
-    );
+  limitToSupport(box, displacement, candidates) {
+    const isSupported = (dx, dz) => {
+      const moved = box.clone().translate(new THREE.Vector3(dx, 0, dz));
+      const fall = this.sweep(moved, 1, -sneakDropHeight, candidates);
+      return fall.contact !== null;
+    };
+    const shorten = (d) =>
+      Math.abs(d) <= sneakEdgeStep ? 0 : d - Math.sign(d) * sneakEdgeStep;
+
+    let { x, z } = displacement;
+    while (x !== 0 && !isSupported(x, 0)) x = shorten(x);
+    while (z !== 0 && !isSupported(0, z)) z = shorten(z);
+    while (x !== 0 && z !== 0 && !isSupported(x, z)) {
+      x = shorten(x);
+      z = shorten(z);
+    }
+    displacement.x = x;
+    displacement.z = z;
   }
 
   /**
-   * Visualizes the block the player is colliding with
+   * Visualizes the block a body may collide with
    * @param {THREE.Object3D} block
    */
   addCollisionHelper(block) {
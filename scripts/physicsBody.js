@@ -0,0 +1,117 @@
+import * as THREE from "three";
+
+/**
+ * Something that is moved by the physics, such as the player, a mob, a
+ * dropped item or a falling block. Bodies are upright boxes, `radius`
+ * blocks out from their middle and `height` blocks tall. Add them to the
+ * physics with `Physics.addBody` to have them stepped every update.
+ */
+export class PhysicsBody {
+  /**
+   * Half the width of the body's bounding box
+   */
+  radius = 0.5;
+  height = 1;
+
+  /**
+   * Velocity in the world frame
+   */
+  velocity = new THREE.Vector3();
+
+  /**
+   * How strongly gravity pulls on the body, e.g. 0 for something floating
+   */
+  gravityScale = 1;
+
+  /**
+   * How quickly the air slows down the body's velocity
+   */
+  drag = 0;
+
+  /**
+   * Tallest ledge (in blocks) the body walks up onto without jumping
+   */
+  stepHeight = 0;
+
+  /**
+   * False for bodies that pass through blocks
+   */
+  collisions = true;
+
+  /**
+   * True if the body is standing on a block. Set by the physics.
+   */
+  onGround = false;
+
+  /**
+   * True if the body is pushing against the side of a block. Set by the
+   * physics.
+   */
+  againstWall = false;
+
+  /**
+   * True if the center of the body is in water. Set by the physics.
+   */
+  inWater = false;
+
+  /**
+   * True while the body is trying to swim upwards
+   */
+  swimming = false;
+
+  /**
+   * True while the body is sneaking, which keeps it from walking off the
+   * edges of blocks
+   */
+  sneaking = false;
+
+  #position = new THREE.Vector3();
+
+  /**
+   * The middle of the bottom of the body
+   * @type {THREE.Vector3}
+   */
+  get position() {
+    return this.#position;
+  }
+
+  /**
+   * False while the physics should leave the body where it is
+   * @type {boolean}
+   */
+  get active() {
+    return true;
+  }
+
+  /**
+   * Called by the physics at the start of every step, so the body can
+   * steer itself by changing its velocity
+   * @param {number} dt
+   */
+  applyInput(dt) {}
+
+  /**
+   * Returns the body's bounding box
+   * @param {THREE.Box3} [target]
+   * @returns {THREE.Box3}
+   */
+  getBoundingBox(target = new THREE.Box3()) {
+    const { position, radius, height } = this;
+    target.min.set(position.x - radius, position.y, position.z - radius);
+    target.max.set(
+      position.x + radius,
+      position.y + height,
+      position.z + radius
+    );
+    return target;
+  }
+
+  /**
+   * Moves the body so its bounding box is at `box`
+   * @param {THREE.Box3} box
+   */
+  setBoundingBox(box) {
+    box.getCenter(this.position);
+    this.position.y = box.min.y;
+  }
+}
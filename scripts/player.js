@@ -1,27 +1,197 @@
 import * as THREE from "three";
 import { PointerLockControls } from "three/addons/controls/PointerLockControls.js";
+import { blocks, getBlockType } from "./blocks";
+import { PhysicsBody } from "./physicsBody";
+import { InputActions } from "./inputActions";
+import { World } from "./world";
+
+const selectionMaterial = new THREE.MeshBasicMaterial({
+  color: 0xffffff,
+  transparent: true,
+  opacity: 0.3,
+  depthWrite: false,
+});
+const selectionFaceGeometry = new THREE.PlaneGeometry(1.002, 1.002);
+const selectionEdgesGeometry = new THREE.EdgesGeometry(
+  new THREE.BoxGeometry(1.002, 1.002, 1.002)
+);
+
+/**
+ * Ways the player can move:
+ *  - "survival" walks and jumps under gravity
+ *  - "creative" walks like survival, and starts or stops flying when jump
+ *    is double tapped
+ *  - "spectator" always flies, and passes through blocks
+ */
+export const movementModes = ["survival", "creative", "spectator"];
+
+// Longest time (in milliseconds) between two presses of jump that counts
+// as a double tap
+const doubleTapTime = 300;
 
 /**
  * Represents a player in the game.
  * @namespace Player
  */
-export class Player {
-  radius = 0.5;
+export class Player extends PhysicsBody {
+  /**
+   * Half the width of the player's bounding box
+   */
+  radius = 0.3;
   height = 1.75;
+  stepHeight = 1;
   jumpSpeed = 50;
-  onGround = false;
 
-  maxSpeed = 10;
+  /**
+   * Height of the player while standing and while crouched. The player
+   * crouches while sneaking, which lowers the camera.
+   */
+  standingHeight = 1.75;
+  crouchHeight = 1.5;
+
+  /**
+   * How quickly the player speeds up towards the speed it is moving at
+   * on the ground (and while swimming or flying), and in the air
+   */
+  groundAcceleration = 15;
+  airAcceleration = 3;
+
+  /**
+   * How quickly the player slows down on the ground when no movement keys
+   * are held
+   */
+  friction = 20;
+
+  /**
+   * Fraction of the maximum speed the player moves at in water
+   */
+  swimSpeedFactor = 0.5;
+
+  /**
+   * Fraction of the maximum speed the player moves at while sneaking
+   */
+  sneakSpeedFactor = 0.3;
+
+  /**
+   * Multiple of the maximum speed the player moves at while sprinting
+   */
+  sprintSpeedFactor = 1.3;
+
+  /**
+   * True while the player is sprinting, which happens while moving
+   * forwards with the sprint key held or after double tapping forwards
+   */
+  sprinting = false;
+
+  /**
+   * True from double tapping forwards until forwards is released
+   */
+  sprintTapped = false;
+
+  /**
+   * Field of view of the camera, which widens by `sprintFovFactor` while
+   * sprinting
+   */
+  fov = 70;
+  sprintFovFactor = 1.15;
+
+  /**
+   * Time (in seconds) after walking off a ledge that the player can still
+   * jump
+   */
+  coyoteTime = 0.1;
+
+  /**
+   * Time (in seconds) a jump pressed just before landing is remembered
+   * for, so it happens as soon as the player lands
+   */
+  jumpBufferTime = 0.15;
+
+  /**
+   * Time since the player was last on the ground
+   */
+  timeInAir = 0;
+
+  /**
+   * Time left until a buffered jump is forgotten
+   */
+  jumpBuffer = 0;
+
+  /**
+   * One of `movementModes`. Use `setMovementMode` to change it.
+   */
+  movementMode = "survival";
+
+  /**
+   * True while the player is flying, which turns off gravity and moves the
+   * player up and down with the jump and sneak keys
+   */
+  flying = false;
+
+  /**
+   * Top speed of each movement mode. Creative players walk at the survival
+   * speed and use the creative speed while flying.
+   */
+  speeds = {
+    survival: 10,
+    creative: 20,
+    spectator: 30,
+  };
+
+  /**
+   * Direction the movement keys are pushing the player in, relative to
+   * where it is facing: +x to the right, +y up and +z forwards
+   */
   input = new THREE.Vector3();
-  velocity = new THREE.Vector3();
-  #worldVelocity = new THREE.Vector3();
+
+  /**
+   * The keys, mouse buttons and gamepad controlling the player. Actions are
+   * ignored while the pointer isn't locked, e.g. while using the UI.
+   */
+  actions = new InputActions(() => this.controls.isLocked);
+
+  /**
+   * How fast the gamepad's right stick turns the camera (in radians per
+   * second)
+   */
+  gamepadLookSpeed = 3;
+
+  /**
+   * Times the jump and forwards keys were last pressed, to detect double
+   * taps
+   */
+  lastJumpTime = -Infinity;
+  lastForwardTime = -Infinity;
+
+  /**
+   * Maximum distance the player can reach to select blocks
+   */
+  reach = 5;
+
+  /**
+   * Coordinates of the block the player is looking at, or null
+   * if no block is within reach
+   * @type {THREE.Vector3 | null}
+   */
+  selectedCoords = null;
+
+  /**
+   * Normal of the face of the selected block the player is looking at
+   * @type {THREE.Vector3}
+   */
+  selectedNormal = new THREE.Vector3();
+
+  /**
+   * The type of block that is placed when right clicking
+   */
+  activeBlockId = blocks.grass.id;
 
   /**
    * The camera used by the player.
    * @type {THREE.PerspectiveCamera}
    */
   camera = new THREE.PerspectiveCamera(
-    70,
+    this.fov,
     window.innerWidth / window.innerHeight,
     0.1,
     200
@@ -38,52 +208,297 @@ export class Player {
   /**
    * Creates a new player instance.
    * @param {THREE.Scene} scene - The scene to add the player to.
+   * @param {World} world - The world the player is in.
    */
-  constructor(scene) {
+  constructor(scene, world) {
+    super();
+    this.world = world;
     this.position.set(32, 64, 32);
     this.cameraHelper.visible = false;
 
     scene.add(this.camera);
     scene.add(this.cameraHelper);
 
-    document.addEventListener("keydown", this.onKeyDown.bind(this));
-    document.addEventListener("keyup", this.onKeyUp.bind(this));
+    this.bindActions();
 
-    // Wirefrme mesh visualizing the player's bounding cylinder
+    // Wirefrme mesh visualizing the player's bounding box
     this.boundsHelper = new THREE.Mesh(
-      new THREE.CylinderGeometry(this.radius, this.radius, this.height, 16),
+      new THREE.BoxGeometry(this.radius * 2, this.height, this.radius * 2),
       new THREE.MeshBasicMaterial({ wireframe: true })
     );
     scene.add(this.boundsHelper);
-  }
 
-  get worldVelocity() {
-    this.#worldVelocity.copy(this.velocity);
-    this.#worldVelocity.applyEuler(
-      new THREE.Euler(0, this.camera.rotation.y, 0)
+    // Outline of the selected block with a highlighted target face
+    this.selectionHelper = new THREE.Group();
+    this.selectionHelper.visible = false;
+    this.selectionHelper.add(
+      new THREE.LineSegments(
+        selectionEdgesGeometry,
+        new THREE.LineBasicMaterial({ color: 0x000000 })
+      )
+    );
+    this.selectionFace = new THREE.Mesh(
+      selectionFaceGeometry,
+      selectionMaterial
     );
-    return this.#worldVelocity;
+    this.selectionHelper.add(this.selectionFace);
+    scene.add(this.selectionHelper);
+
+    this.updateActiveBlockText();
+    this.updateMovementModeText();
+  }
+
+  /**
+   * Turns the camera with the gamepad and updates the block the player is
+   * currently looking at. Called once per frame.
+   * @param {World} world
+   * @param {number} dt
+   */
+  update(world, dt) {
+    if (this.controls.isLocked) this.updateGamepadLook(dt);
+    this.updateSelection(world);
+    this.updateBoundsHelper();
   }
 
   /**
-   * Applies a change in velocity 'dv' that is specified in the world frame
-   * @param {THREE.Vector3} dv
+   * Casts a ray from the camera to find the block the player is looking at
+   * and moves the selection helper to it
+   * @param {World} world
    */
+  updateSelection(world) {
+    const direction = new THREE.Vector3();
+    this.camera.getWorldDirection(direction);
+
+    const hit = world.raycast(this.position, direction, this.reach);
 
-  applyWorldDeltaVelocity(dv) {
-    dv.applyEuler(new THREE.Euler(0, -this.camera.rotation.y, 0));
-    this.velocity.add(dv);
+    if (hit) {
+      this.selectedCoords = new THREE.Vector3().copy(hit.block);
+      this.selectedNormal.copy(hit.normal);
+
+      this.selectionHelper.position.copy(this.selectedCoords);
+      this.selectionHelper.visible = true;
+
+      // Orient the highlighted face so it lies on the face the ray entered
+      if (this.selectedNormal.lengthSq() > 0) {
+        this.selectionFace.visible = true;
+        this.selectionFace.position
+          .copy(this.selectedNormal)
+          .multiplyScalar(0.501);
+        this.selectionFace.quaternion.setFromUnitVectors(
+          new THREE.Vector3(0, 0, 1),
+          this.selectedNormal
+        );
+      } else {
+        // The camera is inside the block, so there is no face to highlight
+        this.selectionFace.visible = false;
+      }
+    } else {
+      this.selectedCoords = null;
+      this.selectionHelper.visible = false;
+    }
   }
 
+  /**
+   * Returns the directions to the right of the player and in front of it,
+   * level with the ground
+   * @returns {{ right: THREE.Vector3, forward: THREE.Vector3 }}
+   */
+  getHorizontalAxes() {
+    const yaw = new THREE.Euler().setFromQuaternion(
+      this.camera.quaternion,
+      "YXZ"
+    ).y;
+    return {
+      right: new THREE.Vector3(Math.cos(yaw), 0, -Math.sin(yaw)),
+      forward: new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw)),
+    };
+  }
+
+  /**
+   * The top speed of the player's current movement mode
+   * @type {number}
+   */
+  get maxSpeed() {
+    if (this.movementMode === "creative" && !this.flying) {
+      return this.speeds.survival;
+    }
+    return this.speeds[this.movementMode];
+  }
+
+  /**
+   * Sets the player's velocity from the movement keys. The player speeds
+   * up and slows down gradually, with less control in the air.
+   * @param {number} dt
+   */
   applyInput(dt) {
-    if (this.controls.isLocked) {
-      this.velocity.x = this.input.x;
-      this.velocity.z = this.input.z;
-      this.controls.moveRight(this.velocity.x * dt);
-      this.controls.moveForward(this.velocity.z * dt);
-      this.position.y += this.velocity.y * dt;
-
-      document.getElementById("player-position").innerHTML = this.toString();
+    const movement = this.actions.getMovement();
+    this.input.set(
+      movement.x,
+      Number(this.actions.isPressed("jump")) -
+        Number(this.actions.isPressed("sneak")),
+      movement.y
+    );
+    if (this.input.z <= 0) this.sprintTapped = false;
+
+    // Creative players stop flying when they fly down onto the ground
+    if (
+      this.movementMode === "creative" &&
+      this.flying &&
+      this.onGround &&
+      this.input.y < 0
+    ) {
+      this.setFlying(false);
+    }
+
+    this.swimming = !this.flying && this.input.y > 0;
+    this.updateCrouch();
+    this.sprinting =
+      (this.actions.isPressed("sprint") || this.sprintTapped) &&
+      this.input.z > 0 &&
+      !this.sneaking;
+
+    let speedFactor = 1;
+    if (this.inWater && !this.flying) speedFactor *= this.swimSpeedFactor;
+    if (this.sneaking) speedFactor *= this.sneakSpeedFactor;
+    if (this.sprinting) speedFactor *= this.sprintSpeedFactor;
+    const speed = this.maxSpeed * speedFactor;
+
+    // Moving diagonally is no faster than moving straight
+    const direction = new THREE.Vector2(this.input.x, this.input.z);
+    if (direction.lengthSq() > 1) direction.normalize();
+
+    const { right, forward } = this.getHorizontalAxes();
+    const target = right
+      .multiplyScalar(direction.x)
+      .addScaledVector(forward, direction.y)
+      .multiplyScalar(speed);
+
+    const grounded = this.onGround || this.flying || this.inWater;
+    let rate = grounded ? this.groundAcceleration : this.airAcceleration;
+    if (grounded && direction.lengthSq() === 0) rate = this.friction;
+    const blend = 1 - Math.exp(-rate * dt);
+    this.velocity.x += (target.x - this.velocity.x) * blend;
+    this.velocity.z += (target.z - this.velocity.z) * blend;
+
+    if (this.flying) {
+      this.velocity.y = this.input.y * speed;
+    } else {
+      this.updateJump(dt);
+    }
+
+    this.updateFov(dt);
+
+    document.getElementById("player-position").innerHTML = this.toString();
+  }
+
+  /**
+   * Jumps if jump was pressed recently and the player is on the ground or
+   * has only just left it
+   * @param {number} dt
+   */
+  updateJump(dt) {
+    this.timeInAir = this.onGround ? 0 : this.timeInAir + dt;
+    this.jumpBuffer = Math.max(0, this.jumpBuffer - dt);
+
+    if (this.jumpBuffer > 0 && this.timeInAir <= this.coyoteTime) {
+      this.velocity.y = this.jumpSpeed;
+      this.onGround = false;
+      this.jumpBuffer = 0;
+      // Don't let the same ledge be jumped off twice
+      this.timeInAir = Infinity;
+    }
+  }
+
+  /**
+   * Crouches while sneaking, and stands back up once the sneak key is
+   * released and there is room above the player. The bottom of the player
+   * stays where it is, so the camera moves down and up.
+   */
+  updateCrouch() {
+    const crouching = !this.flying && this.input.y < 0;
+    if (crouching || !this.canStandUp()) {
+      this.sneaking = !this.flying;
+      this.setHeight(this.flying ? this.standingHeight : this.crouchHeight);
+    } else {
+      this.sneaking = false;
+      this.setHeight(this.standingHeight);
+    }
+  }
+
+  /**
+   * Returns true if there is room above the player to stand at full height
+   * @returns {boolean}
+   */
+  canStandUp() {
+    if (!this.collisions || this.height >= this.standingHeight) return true;
+
+    const box = this.getBoundingBox();
+    box.min.y = box.max.y;
+    box.max.y += this.standingHeight - this.height;
+    return !this.world.intersectsSolidBlock(box);
+  }
+
+  /**
+   * Changes the height of the player, keeping its feet where they are
+   * @param {number} height
+   */
+  setHeight(height) {
+    if (height === this.height) return;
+    this.position.y += height - this.height;
+    this.height = height;
+    this.boundsHelper.scale.y = height / this.standingHeight;
+  }
+
+  /**
+   * Widens the field of view while sprinting, easing it in and out
+   * @param {number} dt
+   */
+  updateFov(dt) {
+    const target = this.sprinting ? this.fov * this.sprintFovFactor : this.fov;
+    if (Math.abs(target - this.camera.fov) < 0.01) return;
+
+    this.camera.fov += (target - this.camera.fov) * (1 - Math.exp(-10 * dt));
+    this.camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Switches to one of the `movementModes`
+   * @param {string} mode
+   */
+  setMovementMode(mode) {
+    this.movementMode = mode;
+    this.collisions = mode !== "spectator";
+    this.setFlying(mode === "spectator");
+    this.updateMovementModeText();
+  }
+
+  /**
+   * Starts or stops flying
+   * @param {boolean} flying
+   */
+  setFlying(flying) {
+    this.flying = flying;
+    this.gravityScale = flying ? 0 : 1;
+    this.velocity.y = 0;
+  }
+
+  /**
+   * Moves the player to the surface of the world at the spawn point, or
+   * above where it is standing if the spawn point isn't loaded
+   */
+  respawn() {
+    const columns = [
+      [32, 32],
+      [Math.round(this.position.x), Math.round(this.position.z)],
+    ];
+    for (const [x, z] of columns) {
+      const surfaceY = this.world.findSurface(x, z);
+      if (surfaceY === null) continue;
+
+      // Stand on top of the block, which is centered on surfaceY
+      this.position.set(x, surfaceY + 0.5 + this.height, z);
+      this.velocity.set(0, 0, 0);
+      return;
     }
   }
 
@@ -93,7 +508,8 @@ export class Player {
   }
 
   /**
-   * The position of the player.
+   * The position of the player, at the top of its bounding box so the
+   * camera is at eye level
    * @type {THREE.Vector3}
    */
   get position() {
@@ -101,61 +517,122 @@ export class Player {
   }
 
   /**
-   * Event handler for when a key is pressed.
-   * @param {KeyboardEvent} event - The event object.
+   * The player only moves while the controls are locked
+   * @type {boolean}
    */
-  onKeyDown(event) {
-    if (!this.controls.isLocked) {
-      this.controls.lock();
-      console.log("locked");
-    }
-    switch (event.code) {
-      case "KeyW":
-        this.input.z = this.maxSpeed;
-        break;
-      case "KeyA":
-        this.input.x = -this.maxSpeed;
-        break;
-      case "KeyS":
-        this.input.z = -this.maxSpeed;
-        break;
-      case "KeyD":
-        this.input.x = this.maxSpeed;
-        break;
-      case "KeyR":
-        this.position.set(32, 16, 32);
-        this.velocity.set(0, 0, 0);
-        break;
-      case "Space":
-        if (this.onGround) {
-          this.velocity.y += this.jumpSpeed;
-          this.onGround = false;
-        }
-        break;
-    }
+  get active() {
+    return this.controls.isLocked;
+  }
+
+  getBoundingBox(target = new THREE.Box3()) {
+    super.getBoundingBox(target);
+    target.translate(new THREE.Vector3(0, -this.height, 0));
+    return target;
+  }
+
+  setBoundingBox(box) {
+    box.getCenter(this.position);
+    this.position.y = box.max.y;
   }
 
   /**
-   * Event handler for when a key is released.
-   * @param {KeyboardEvent} event - The event object.
-   */
-  onKeyUp(event) {
-    switch (event.code) {
-      case "KeyW":
-        this.input.z = 0;
-        break;
-      case "KeyA":
-        this.input.x = 0;
-        break;
-      case "KeyS":
-        this.input.z = 0;
-        break;
-      case "KeyD":
-        this.input.x = 0;
-        break;
+   * Turns the camera with the gamepad's right stick
+   * @param {number} dt
+   */
+  updateGamepadLook(dt) {
+    const look = this.actions.gamepadLook;
+    if (look.lengthSq() === 0) return;
+
+    const euler = new THREE.Euler().setFromQuaternion(
+      this.camera.quaternion,
+      "YXZ"
+    );
+    euler.y -= look.x * this.gamepadLookSpeed * dt;
+    euler.x = THREE.MathUtils.clamp(
+      euler.x + look.y * this.gamepadLookSpeed * dt,
+      -Math.PI / 2,
+      Math.PI / 2
+    );
+    this.camera.quaternion.setFromEuler(euler);
+  }
+
+  /**
+   * Listens for the actions that are triggered once when pressed
+   */
+  bindActions() {
+    const { actions } = this;
+
+    actions.on("moveForward", (event) => {
+      if (event.repeat) return;
+      if (event.timeStamp - this.lastForwardTime < doubleTapTime) {
+        this.sprintTapped = true;
+      }
+      this.lastForwardTime = event.timeStamp;
+    });
+
+    actions.on("jump", (event) => {
+      if (event.repeat) return;
+      if (
+        this.movementMode === "creative" &&
+        event.timeStamp - this.lastJumpTime < doubleTapTime
+      ) {
+        this.setFlying(!this.flying);
+        this.lastJumpTime = -Infinity;
+        return;
+      }
+      this.lastJumpTime = event.timeStamp;
+      this.jumpBuffer = this.jumpBufferTime;
+    });
+
+    actions.on("respawn", () => this.respawn());
+
+    actions.on("movementMode", () => {
+      const index = movementModes.indexOf(this.movementMode);
+      this.setMovementMode(movementModes[(index + 1) % movementModes.length]);
+    });
+
+    actions.on("inventory", () => this.selectNextBlock());
+
+    for (let slot = 1; slot <= 9; slot++) {
+      actions.on(`block${slot}`, () => {
+        this.activeBlockId = slot;
+        this.updateActiveBlockText();
+      });
     }
   }
 
+  /**
+   * Makes the next block type the one that is placed, skipping the empty
+   * block and the levels of flowing fluids
+   */
+  selectNextBlock() {
+    const blockIds = Object.values(blocks)
+      .filter((blockType) => blockType.id !== blocks.empty.id)
+      .filter((blockType) => !blockType.level)
+      .map((blockType) => blockType.id)
+      .sort((a, b) => a - b);
+    const next = blockIds.find((id) => id > this.activeBlockId);
+    this.activeBlockId = next ?? blockIds[0];
+    this.updateActiveBlockText();
+  }
+
+  /**
+   * Displays the name of the block that will be placed
+   */
+  updateActiveBlockText() {
+    const blockType = getBlockType(this.activeBlockId);
+    document.getElementById("active-block").innerHTML =
+      `Block: ${blockType.name}`;
+  }
+
+  /**
+   * Displays the player's movement mode
+   */
+  updateMovementModeText() {
+    document.getElementById("movement-mode").innerHTML =
+      `Mode: ${this.movementMode}`;
+  }
+
   /**
    * Returns player position in a readable string format.
    * @returns {string} - Player position.
@@ -0,0 +1,381 @@
+import { DayNightCycle } from "./dayNightCycle";
+import { Player } from "./player";
+import { World } from "./world";
+import { decodeWorld, encodeWorld, WORLD_FILE_EXTENSION } from "./worldFile";
+
+const DB_NAME = "jscraft";
+const DB_VERSION = 1;
+const STORE_NAME = "saves";
+const AUTOSAVE_NAME = "Autosave";
+
+// Version of the snapshot stored in each save. Increment this whenever
+// `serialize` or the world params change. Saves from other versions (or
+// without one) can't be loaded, since their terrain would be generated
+// differently.
+const SAVE_VERSION = 2;
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Keys that could change an object's prototype instead of its values
+const unsafeKeys = new Set(["__proto__", "constructor", "prototype"]);
+
+/**
+ * Copies the values in `source` onto `target`, recursing into nested
+ * objects so that objects referenced elsewhere (e.g. by the UI) are
+ * updated in place instead of replaced. Keys that `target` doesn't already
+ * have are skipped, so saves and imported files can't add properties.
+ * @param {object} target
+ * @param {object} source
+ */
+function assignDeep(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (unsafeKeys.has(key) || !Object.hasOwn(target, key)) continue;
+    if (value !== null && typeof value === "object" && target[key]) {
+      assignDeep(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Saves and loads worlds to named slots in IndexedDB
+ */
+export class SaveManager {
+  /**
+   * If true, the current slot is saved periodically and when the page is
+   * hidden or closed
+   */
+  autosave = true;
+
+  /**
+   * Time between autosaves (in seconds)
+   */
+  autosaveInterval = 60;
+
+  /**
+   * Id of the slot that was last saved or loaded. Autosaves are written here.
+   * @type {number | null}
+   */
+  currentSlotId = null;
+
+  /**
+   * @type {Promise<IDBDatabase> | null}
+   */
+  #db = null;
+
+  #autosaveTimer = null;
+
+  /**
+   * @param {World} world
+   * @param {Player} player
+   * @param {DayNightCycle} dayNightCycle
+   */
+  constructor(world, player, dayNightCycle) {
+    this.world = world;
+    this.player = player;
+    this.dayNightCycle = dayNightCycle;
+
+    this.startAutosave();
+    window.addEventListener("beforeunload", () => this.autosaveNow());
+
+    // The page can be closed before the save started by `beforeunload`
+    // finishes, so also save when it is hidden, which happens first
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.autosaveNow();
+    });
+  }
+
+  /**
+   * Saves the current slot if autosave is on. Failures are logged since
+   * nothing is waiting on the save.
+   */
+  autosaveNow() {
+    if (!this.autosave) return;
+    this.saveCurrent().catch((error) => {
+      console.error("Autosave failed", error);
+    });
+  }
+
+  /**
+   * Opens (and creates if needed) the save database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.#db) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      };
+      this.#db = promisifyRequest(request);
+    }
+    return this.#db;
+  }
+
+  /**
+   * Runs `callback` against the save store inside a transaction and
+   * resolves with the result of the request it returns once the
+   * whole transaction has completed
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest} callback
+   * @returns {Promise<any>}
+   */
+  async transaction(mode, callback) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Returns the name and timestamps of every save slot, most recent first
+   * @returns {Promise<{ id: number, name: string, updatedAt: number }[]>}
+   */
+  async listSlots() {
+    const saves = await this.transaction("readonly", (store) => store.getAll());
+
+    return saves
+      .map(({ id, name, updatedAt }) => ({ id, name, updatedAt }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Saves the world to a new slot
+   * @param {string} name
+   * @returns {Promise<number>} The id of the new slot
+   */
+  async create(name) {
+    const now = Date.now();
+    const id = await this.transaction("readwrite", (store) =>
+      store.add({
+        name,
+        createdAt: now,
+        updatedAt: now,
+        data: this.serialize(),
+      })
+    );
+
+    this.currentSlotId = id;
+    return id;
+  }
+
+  /**
+   * Overwrites the slot `id` with the current world
+   * @param {number} id
+   */
+  async save(id) {
+    const data = this.serialize();
+    await this.update(id, (save) => {
+      save.updatedAt = Date.now();
+      save.data = data;
+    });
+
+    this.currentSlotId = id;
+  }
+
+  /**
+   * Saves to the current slot. If no slot has been saved or loaded yet,
+   * the autosave slot is used (and created if it doesn't exist).
+   */
+  async saveCurrent() {
+    if (this.currentSlotId === null) {
+      const slots = await this.listSlots();
+      const autosaveSlot = slots.find(({ name }) => name === AUTOSAVE_NAME);
+      if (!autosaveSlot) {
+        await this.create(AUTOSAVE_NAME);
+        return;
+      }
+      this.currentSlotId = autosaveSlot.id;
+    }
+
+    await this.save(this.currentSlotId);
+  }
+
+  /**
+   * Replaces the current world with the one saved in slot `id`
+   * @param {number} id
+   */
+  async load(id) {
+    const save = await this.transaction("readonly", (store) => store.get(id));
+    if (!save) {
+      throw new Error(`Save slot ${id} does not exist`);
+    }
+
+    this.deserialize(save.data);
+    this.currentSlotId = id;
+  }
+
+  /**
+   * Changes the name of the slot `id`
+   * @param {number} id
+   * @param {string} name
+   */
+  async rename(id, name) {
+    await this.update(id, (save) => {
+      save.name = name;
+    });
+  }
+
+  /**
+   * Reads the slot `id`, modifies it with `callback` and writes it back
+   * within a single transaction
+   * @param {number} id
+   * @param {(save: object) => void} callback
+   */
+  async update(id, callback) {
+    const save = await this.transaction("readwrite", (store) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result) {
+          callback(request.result);
+          store.put(request.result);
+        }
+      };
+      return request;
+    });
+
+    if (!save) {
+      throw new Error(`Save slot ${id} does not exist`);
+    }
+  }
+
+  /**
+   * Deletes the slot `id`
+   * @param {number} id
+   */
+  async delete(id) {
+    await this.transaction("readwrite", (store) => store.delete(id));
+
+    if (this.currentSlotId === id) {
+      this.currentSlotId = null;
+    }
+  }
+
+  /**
+   * (Re)starts the autosave timer using the current `autosaveInterval`
+   */
+  startAutosave() {
+    clearInterval(this.#autosaveTimer);
+    this.#autosaveTimer = setInterval(() => {
+      this.autosaveNow();
+    }, this.autosaveInterval * 1000);
+  }
+
+  /**
+   * Returns a snapshot of the world, player and time of day that can be
+   * stored in IndexedDB
+   */
+  serialize() {
+    return {
+      version: SAVE_VERSION,
+      params: structuredClone(this.world.params),
+      chunkSize: { ...this.world.chunkSize },
+      player: {
+        position: this.player.position.toArray(),
+        quaternion: this.player.camera.quaternion.toArray(),
+      },
+      changes: structuredClone(this.world.dataStore.data),
+      chunks: structuredClone(this.world.dataStore.chunks),
+      timeOfDay: this.dayNightCycle.timeOfDay,
+    };
+  }
+
+  /**
+   * Restores the world and player from a snapshot created by `serialize`
+   * and regenerates the world. Throws (and leaves the world unchanged) if
+   * the snapshot was made by a different version.
+   * @param {ReturnType<SaveManager["serialize"]>} data
+   */
+  deserialize(data) {
+    if (data.version !== SAVE_VERSION) {
+      throw new Error(
+        "This save was made by a different version of JSCraft and can't be loaded"
+      );
+    }
+
+    assignDeep(this.world.params, data.params);
+    assignDeep(this.world.chunkSize, data.chunkSize);
+
+    this.world.dataStore.data = data.changes;
+    this.world.dataStore.chunks = data.chunks ?? {};
+    this.world.dataStore.chunkWidth = this.world.chunkSize.width;
+
+    this.player.position.fromArray(data.player.position);
+    this.player.camera.quaternion.fromArray(data.player.quaternion);
+    this.player.velocity.set(0, 0, 0);
+
+    this.dayNightCycle.timeOfDay = data.timeOfDay;
+
+    this.world.regenerate(this.player);
+  }
+
+  /**
+   * Downloads the current world as a binary world file
+   * @param {string} fileName File name without the extension
+   */
+  exportFile(fileName) {
+    const blob = new Blob(
+      [encodeWorld(this.world, this.dayNightCycle.timeOfDay)],
+      {
+        type: "application/octet-stream",
+      }
+    );
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${fileName}${WORLD_FILE_EXTENSION}`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  /**
+   * Replaces the current world with the one stored in a binary world file.
+   * Throws a WorldFileError (and leaves the world unchanged) if the file
+   * is corrupt or doesn't match the current world.
+   * @param {ArrayBuffer} buffer
+   */
+  importFile(buffer) {
+    const { params, timeOfDay, chunks, changes } = decodeWorld(
+      buffer,
+      this.world.chunkSize
+    );
+
+    assignDeep(this.world.params, params);
+    this.dayNightCycle.timeOfDay = timeOfDay;
+
+    const dataStore = this.world.dataStore;
+    dataStore.clear();
+    for (const { x, z, blockIds } of chunks) {
+      dataStore.setChunkData(x, z, blockIds);
+    }
+    for (const { chunkX, chunkZ, x, y, z, blockId } of changes) {
+      dataStore.set(chunkX, chunkZ, x, y, z, blockId);
+    }
+
+    // Don't let autosave overwrite the slot that was loaded previously
+    this.currentSlotId = null;
+
+    this.player.velocity.set(0, 0, 0);
+    this.world.regenerate(this.player);
+  }
+}
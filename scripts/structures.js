@@ -0,0 +1,102 @@
+import { blocks } from "./blocks.js";
+import { RNG } from "./rng.js";
+
+/**
+ * Structures that are placed on top of the terrain after it is generated
+ *  - `radius` is how far (in blocks) the structure reaches horizontally
+ *    from the column it grows out of, so chunks know which of their
+ *    neighbors' structures can reach into them
+ *  - `generate` places the blocks of the structure by calling `place` with
+ *    coordinates relative to the block above the ground. Any randomness has
+ *    to come from `rng` so the structure looks the same in every chunk it
+ *    reaches into.
+ *
+ * Biomes pick which structures grow in them, and how often, by name.
+ * @type {Object<string, {
+ *  radius: number,
+ *  generate: (place: (x: number, y: number, z: number, blockId: number) => void, rng: RNG) => void
+ * }>}
+ */
+export const structures = {
+  oakTree: {
+    radius: 2,
+    generate(place, rng) {
+      const height = 4 + Math.floor(rng.random() * 3);
+
+      for (let y = 0; y < height; y++) {
+        place(0, y, 0, blocks.oakLog.id);
+      }
+
+      // Two wide layers of leaves around the top of the trunk, with two
+      // narrow layers above them. Corners are left out at random so the
+      // canopy doesn't look like a box.
+      for (let y = height - 2; y <= height + 1; y++) {
+        const radius = y < height ? 2 : 1;
+        for (let x = -radius; x <= radius; x++) {
+          for (let z = -radius; z <= radius; z++) {
+            const corner = Math.abs(x) === radius && Math.abs(z) === radius;
+            if (corner && (y === height + 1 || rng.random() < 0.5)) continue;
+            place(x, y, z, blocks.leaves.id);
+          }
+        }
+      }
+    },
+  },
+  cactus: {
+    radius: 0,
+    generate(place, rng) {
+      const height = 1 + Math.floor(rng.random() * 3);
+      for (let y = 0; y < height; y++) {
+        place(0, y, 0, blocks.cactus.id);
+      }
+    },
+  },
+  tallGrass: {
+    radius: 0,
+    generate(place) {
+      place(0, 0, 0, blocks.tallGrass.id);
+    },
+  },
+  dandelion: {
+    radius: 0,
+    generate(place) {
+      place(0, 0, 0, blocks.dandelion.id);
+    },
+  },
+  rose: {
+    radius: 0,
+    generate(place) {
+      place(0, 0, 0, blocks.rose.id);
+    },
+  },
+  deadBush: {
+    radius: 0,
+    generate(place) {
+      place(0, 0, 0, blocks.deadBush.id);
+    },
+  },
+};
+
+/**
+ * Furthest any structure reaches from the column it grows out of
+ */
+export const maxStructureRadius = Math.max(
+  ...Object.values(structures).map(({ radius }) => radius)
+);
+
+/**
+ * Returns a random number generator for the column at (x, z). The numbers
+ * only depend on the seed and the column, so every chunk that looks at
+ * the column gets the same numbers no matter which order chunks load in.
+ * @param {number} seed
+ * @param {number} x
+ * @param {number} z
+ * @returns {RNG}
+ */
+export function createColumnRNG(seed, x, z) {
+  // Mix the inputs together so neighboring columns get unrelated seeds
+  let hash = Math.imul(x, 0x27d4eb2d) ^ Math.imul(z, 0x165667b1) ^ seed;
+  hash = Math.imul(hash ^ (hash >>> 15), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return new RNG((hash ^ (hash >>> 16)) >>> 0);
+}
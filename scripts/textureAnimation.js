@@ -0,0 +1,179 @@
+/**
+ * Number of animation ticks per second. Frame times are measured in ticks,
+ * like in `.mcmeta` files.
+ */
+const ticksPerSecond = 20;
+
+/**
+ * How a texture is animated, in the same format as the `animation` section
+ * of an `.mcmeta` file:
+ *  - `frametime` is how many ticks each frame is shown for (1 by default)
+ *  - `interpolate` blends each frame into the next one while it is shown
+ *  - `frames` lists the frames to show in order, either as frame indices or
+ *    as `{ index, time }` to give a frame its own frame time. By default
+ *    every frame of the strip is shown from top to bottom.
+ * @typedef {{
+ *  frametime?: number,
+ *  interpolate?: boolean,
+ *  frames?: (number | { index: number, time?: number })[]
+ * }} AnimationSettings
+ */
+
+/**
+ * Sidecar animation settings that have been requested, keyed by texture path
+ * @type {Map<string, Promise<AnimationSettings | null>>}
+ */
+const sidecarSettings = new Map();
+
+/**
+ * Loads the animation settings of a texture from the `.mcmeta` file next to
+ * it (e.g. `textures/fire_0.png.mcmeta`), if there is one
+ * @param {string} path Path of the texture
+ * @returns {Promise<AnimationSettings | null>} null if the texture doesn't
+ * have a valid `.mcmeta` file
+ */
+export function loadAnimationSettings(path) {
+  if (!sidecarSettings.has(path)) {
+    sidecarSettings.set(
+      path,
+      fetch(`${path}.mcmeta`)
+        .then((response) => (response.ok ? response.json() : null))
+        .then((meta) => meta?.animation ?? null)
+        .catch(() => null)
+    );
+  }
+  return sidecarSettings.get(path);
+}
+
+/**
+ * Returns true if the image is an animation, stored as a vertical strip of
+ * square frames
+ * @param {{ width: number, height: number }} image
+ * @returns {boolean}
+ */
+export function isAnimationStrip(image) {
+  return image.height > image.width && image.height % image.width === 0;
+}
+
+/**
+ * Plays an animated texture stored as a vertical strip of square frames.
+ * The current frame is drawn onto a canvas, so textures and atlases using
+ * it only have to be re-uploaded when the frame changes and the meshes
+ * drawn with them are left alone.
+ */
+export class TextureAnimation {
+  /**
+   * Key of the frame (and blend) last returned by `update`
+   */
+  #drawnKey = -1;
+
+  /**
+   * @param {HTMLImageElement | HTMLCanvasElement} image
+   * @param {AnimationSettings} [settings]
+   */
+  constructor(image, settings = {}) {
+    this.image = image;
+    this.frameSize = image.width;
+    this.interpolate = settings.interpolate ?? false;
+
+    const frameCount = image.height / image.width;
+    const frametime = Math.max(1, settings.frametime ?? 1);
+    const frames = settings.frames ?? [...Array(frameCount).keys()];
+
+    /**
+     * Index and duration (in ticks) of each frame in the order they are shown
+     * @type {{ index: number, time: number }[]}
+     */
+    this.frames = frames
+      .map((frame) =>
+        typeof frame === "number"
+          ? { index: frame, time: frametime }
+          : { index: frame.index, time: Math.max(1, frame.time ?? frametime) }
+      )
+      .filter(({ index }) => index >= 0 && index < frameCount);
+    if (this.frames.length === 0) {
+      this.frames.push({ index: 0, time: frametime });
+    }
+
+    this.duration = this.frames.reduce((sum, { time }) => sum + time, 0);
+
+    /**
+     * Position in `frames` of the frame being shown
+     */
+    this.frame = 0;
+
+    /**
+     * How far the current frame has blended into the next one, from 0 to 1.
+     * Always 0 unless the animation is interpolated.
+     */
+    this.blend = 0;
+  }
+
+  /**
+   * Moves the animation to `time`
+   * @param {number} time Time in seconds
+   * @returns {boolean} True if the animation looks different than the last
+   * time this returned true, so it has to be drawn again
+   */
+  update(time) {
+    const ticks = (time * ticksPerSecond) % this.duration;
+
+    let start = 0;
+    this.frame = 0;
+    while (start + this.frames[this.frame].time <= ticks) {
+      start += this.frames[this.frame].time;
+      this.frame++;
+    }
+
+    // Interpolated animations are redrawn once per tick, which is smooth
+    // enough without re-uploading the texture every frame
+    let key = this.frame;
+    this.blend = 0;
+    if (this.interpolate) {
+      const elapsed = Math.floor(ticks - start);
+      this.blend = elapsed / this.frames[this.frame].time;
+      key = Math.floor(ticks);
+    }
+
+    if (key === this.#drawnKey) return false;
+    this.#drawnKey = key;
+    return true;
+  }
+
+  /**
+   * Draws the current frame into a `size` x `size` square of a canvas
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} x
+   * @param {number} y
+   * @param {number} size
+   */
+  draw(context, x, y, size) {
+    context.clearRect(x, y, size, size);
+    this.drawFrame(context, this.frames[this.frame].index, x, y, size);
+
+    if (this.blend > 0) {
+      const next = this.frames[(this.frame + 1) % this.frames.length];
+      context.globalAlpha = this.blend;
+      this.drawFrame(context, next.index, x, y, size);
+      context.globalAlpha = 1;
+    }
+  }
+
+  /**
+   * Draws the frame at `index` in the strip, scaled to `size`
+   */
+  drawFrame(context, index, x, y, size) {
+    const frameSize = this.frameSize;
+    context.drawImage(
+      this.image,
+      0,
+      index * frameSize,
+      frameSize,
+      frameSize,
+      x,
+      y,
+      size,
+      size
+    );
+  }
+}
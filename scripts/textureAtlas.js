@@ -0,0 +1,282 @@
+import * as THREE from "three";
+import { TGALoader } from "three/examples/jsm/loaders/TGALoader.js";
+import {
+  isAnimationStrip,
+  loadAnimationSettings,
+  TextureAnimation,
+} from "./textureAnimation.js";
+
+const imageLoader = new THREE.ImageLoader();
+const tgaLoader = new TGALoader();
+
+/**
+ * Returns the path of a texture in the `textures` folder. Textures are PNG
+ * files unless the name ends in another extension.
+ * @param {string} name
+ * @returns {string}
+ */
+export function getTexturePath(name) {
+  return /\.\w+$/.test(name) ? `textures/${name}` : `textures/${name}.png`;
+}
+
+/**
+ * Name of the texture that is drawn in place of textures that are missing
+ * or fail to load. It is drawn by `createMissingTexture` instead of being
+ * loaded from the `textures` folder.
+ */
+export const missingTexture = "missing";
+
+/**
+ * Draws the missing texture, a magenta and black checkerboard that stands
+ * out against every other block
+ * @param {number} size Size of the texture in pixels
+ * @returns {HTMLCanvasElement}
+ */
+export function createMissingTexture(size = 16) {
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext("2d");
+  const half = size / 2;
+  context.fillStyle = "#000000";
+  context.fillRect(0, 0, size, size);
+  context.fillStyle = "#f800f8";
+  context.fillRect(0, 0, half, half);
+  context.fillRect(half, half, half, half);
+  return canvas;
+}
+
+/**
+ * Copies the pixels of a decoded TGA image onto a canvas so it can be
+ * drawn like any other image
+ * @param {{ data: Uint8Array, width: number, height: number }} image
+ * @returns {HTMLCanvasElement}
+ */
+function toCanvas({ data, width, height }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas
+    .getContext("2d")
+    .putImageData(
+      new ImageData(new Uint8ClampedArray(data.buffer), width, height),
+      0,
+      0
+    );
+  return canvas;
+}
+
+/**
+ * Packs square block textures into a single texture so that all of the
+ * blocks in a chunk can be drawn with one material. Tiles are laid out in
+ * a square grid, left to right and top to bottom, in the order they are added.
+ * Textures that fail to load are replaced by the missing texture.
+ *
+ * Animated textures take up a single tile, which is redrawn with the
+ * current frame by `update`.
+ */
+export class TextureAtlas {
+  /**
+   * Index of each tile, keyed by texture name
+   * @type {Map<string, number>}
+   */
+  tiles = new Map();
+
+  /**
+   * Animation playing in each animated tile, keyed by tile index
+   * @type {Map<number, TextureAnimation>}
+   */
+  animations = new Map();
+
+  /**
+   * @param {string[]} textureNames Names of the textures in the `textures`
+   * folder to pack into the atlas
+   * @param {number} tileSize Size of each tile in pixels
+   * @param {Object<string, import("./textureAnimation.js").AnimationSettings>}
+   * [animationSettings] How each animated texture is played, keyed by
+   * texture name. Animated textures that aren't listed use the settings
+   * in their `.mcmeta` file.
+   */
+  constructor(textureNames, tileSize = 16, animationSettings = {}) {
+    this.tileSize = tileSize;
+
+    for (const name of textureNames) {
+      if (!this.tiles.has(name)) {
+        this.tiles.set(name, this.tiles.size);
+      }
+    }
+
+    // Number of tiles along each side of the atlas, rounded up to a power
+    // of two so the texture size is one as well
+    this.columns = 2 ** Math.ceil(Math.log2(Math.sqrt(this.tiles.size) || 1));
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = this.columns * tileSize;
+    this.canvas.height = this.columns * tileSize;
+    this.context = this.canvas.getContext("2d");
+
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.texture.magFilter = THREE.NearestFilter;
+    this.texture.minFilter = THREE.NearestFilter;
+    this.texture.generateMipmaps = false;
+    // Keep the canvas orientation so row 0 is at v = 0
+    this.texture.flipY = false;
+
+    for (const [name, index] of this.tiles) {
+      const onError = () => {
+        console.error(`Failed to load texture "${name}"`);
+        this.drawTile(index, createMissingTexture(tileSize));
+      };
+
+      const path = getTexturePath(name);
+      if (name === missingTexture) {
+        this.drawTile(index, createMissingTexture(tileSize));
+      } else if (path.endsWith(".tga")) {
+        tgaLoader.load(
+          path,
+          (texture) => {
+            this.drawTile(index, toCanvas(texture.image));
+          },
+          undefined,
+          onError
+        );
+      } else {
+        imageLoader.load(
+          path,
+          (image) => {
+            this.drawTile(index, image);
+            if (isAnimationStrip(image)) {
+              this.animateTile(index, image, animationSettings[name], path);
+            }
+          },
+          undefined,
+          onError
+        );
+      }
+    }
+  }
+
+  /**
+   * Starts playing the animation strip `image` in the tile at `index`
+   * @param {number} index
+   * @param {HTMLImageElement} image
+   * @param {import("./textureAnimation.js").AnimationSettings} [settings]
+   * @param {string} path Path of the texture, used to find its `.mcmeta` file
+   * if `settings` aren't given
+   */
+  async animateTile(index, image, settings, path) {
+    settings ??= (await loadAnimationSettings(path)) ?? undefined;
+    this.animations.set(index, new TextureAnimation(image, settings));
+  }
+
+  /**
+   * Redraws the animated tiles whose frame has changed
+   * @param {number} time Time in seconds
+   */
+  update(time) {
+    for (const [index, animation] of this.animations) {
+      if (animation.update(time)) {
+        const x = (index % this.columns) * this.tileSize;
+        const y = Math.floor(index / this.columns) * this.tileSize;
+        animation.draw(this.context, x, y, this.tileSize);
+        this.texture.needsUpdate = true;
+      }
+    }
+  }
+
+  /**
+   * Copies the top square of `image` into the tile at `index`. Animated
+   * textures are stored as vertical strips of frames, so this is the
+   * first frame.
+   * @param {number} index
+   * @param {HTMLImageElement | HTMLCanvasElement} image
+   */
+  drawTile(index, image) {
+    const x = (index % this.columns) * this.tileSize;
+    const y = Math.floor(index / this.columns) * this.tileSize;
+    const size = image.width;
+
+    this.context.clearRect(x, y, this.tileSize, this.tileSize);
+    this.context.drawImage(
+      image,
+      0,
+      0,
+      size,
+      size,
+      x,
+      y,
+      this.tileSize,
+      this.tileSize
+    );
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * Returns the index of the tile for the texture `name`
+   * @param {string} name
+   * @returns {number}
+   */
+  getTile(name) {
+    return this.tiles.get(name);
+  }
+
+  /**
+   * Creates a material that samples the atlas using the per-vertex `tile`
+   * attribute. The `uv` attribute is measured in blocks so that merged
+   * faces repeat the tile once per block instead of stretching it.
+   * @returns {THREE.MeshLambertMaterial}
+   */
+  createMaterial() {
+    // Transparent pixels are cut out so plants and leaves can share the
+    // material with every other block. The vertex colors hold the light
+    // level of each face.
+    const material = new THREE.MeshLambertMaterial({
+      map: this.texture,
+      alphaTest: 0.5,
+      vertexColors: true,
+    });
+
+    material.onBeforeCompile = (shader) => {
+      shader.uniforms.atlasColumns = { value: this.columns };
+      shader.uniforms.tileInset = { value: 0.5 / this.tileSize };
+
+      shader.vertexShader = shader.vertexShader
+        .replace(
+          "#include <common>",
+          `#include <common>
+          attribute float tile;
+          uniform float atlasColumns;
+          varying vec2 vTileOffset;`
+        )
+        .replace(
+          "#include <uv_vertex>",
+          `#include <uv_vertex>
+          vTileOffset = vec2( mod( tile, atlasColumns ), floor( tile / atlasColumns ) ) / atlasColumns;`
+        );
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace(
+          "#include <common>",
+          `#include <common>
+          uniform float atlasColumns;
+          uniform float tileInset;
+          varying vec2 vTileOffset;`
+        )
+        .replace(
+          "#include <map_fragment>",
+          THREE.ShaderChunk.map_fragment.replace(
+            "vec4 sampledDiffuseColor = texture2D( map, vMapUv );",
+            `// Repeat the tile across the face. The v coordinate is flipped
+            // since the atlas rows go from the top of the image to the bottom.
+            vec2 tileUv = clamp( fract( vMapUv ), tileInset, 1.0 - tileInset );
+            tileUv.y = 1.0 - tileUv.y;
+            tileUv = vTileOffset + tileUv / atlasColumns;
+            vec4 sampledDiffuseColor = texture2D( map, tileUv );`
+          )
+        );
+    };
+
+    return material;
+  }
+}
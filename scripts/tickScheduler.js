@@ -0,0 +1,131 @@
+/**
+ * Runs block updates a number of ticks after they are scheduled. The world
+ * ticks at a fixed rate no matter the frame rate, and only a limited number
+ * of updates run each frame so a burst of updates (e.g. a large flood) is
+ * spread across several frames instead of stalling one. Updates that don't
+ * fit in a frame run on the next one.
+ *
+ * Each block has at most one pending update. Scheduling a block that is
+ * already scheduled keeps whichever update comes first.
+ */
+export class TickScheduler {
+  /**
+   * Number of ticks per second
+   */
+  tickRate = 20;
+
+  /**
+   * Maximum number of block updates run per frame
+   */
+  maxUpdatesPerFrame = 256;
+
+  /**
+   * Number of ticks since the scheduler was created or cleared
+   */
+  currentTick = 0;
+
+  /**
+   * Time left over from the last update that didn't add up to a full tick
+   */
+  accumulator = 0;
+
+  /**
+   * Tick each scheduled block is updated on, keyed by block coordinates
+   * @type {Map<string, number>}
+   */
+  scheduled = new Map();
+
+  /**
+   * Blocks to update, grouped by the tick they are updated on
+   * @type {Map<number, { x: number, y: number, z: number, key: string }[]>}
+   */
+  queue = new Map();
+
+  /**
+   * @param {(x: number, y: number, z: number) => void} onUpdate Called to
+   * update the block at (x, y, z) when its update is due
+   */
+  constructor(onUpdate) {
+    this.onUpdate = onUpdate;
+  }
+
+  /**
+   * Number of block updates waiting to run
+   * @type {number}
+   */
+  get pending() {
+    return this.scheduled.size;
+  }
+
+  /**
+   * Schedules an update for the block at (x, y, z) `delay` ticks from now
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} delay
+   */
+  schedule(x, y, z, delay) {
+    const key = `${x},${y},${z}`;
+    const tick = this.currentTick + Math.max(1, delay);
+
+    const scheduledTick = this.scheduled.get(key);
+    if (scheduledTick !== undefined && scheduledTick <= tick) return;
+
+    // If the block was scheduled for a later tick, that entry is left in
+    // the queue and skipped when it comes up
+    this.scheduled.set(key, tick);
+    if (!this.queue.has(tick)) {
+      this.queue.set(tick, []);
+    }
+    this.queue.get(tick).push({ x, y, z, key });
+  }
+
+  /**
+   * Advances time by `dt` and runs the block updates that are due, up to
+   * `maxUpdatesPerFrame` of them
+   * @param {number} dt
+   */
+  update(dt) {
+    this.accumulator += dt;
+    const tickLength = 1 / this.tickRate;
+    while (this.accumulator >= tickLength) {
+      this.currentTick++;
+      this.accumulator -= tickLength;
+    }
+
+    // The queue is in the order ticks were first scheduled, so the due
+    // ticks are sorted to run the oldest updates first
+    const dueTicks = [...this.queue.keys()]
+      .filter((tick) => tick <= this.currentTick)
+      .sort((a, b) => a - b);
+
+    let budget = this.maxUpdatesPerFrame;
+    for (const tick of dueTicks) {
+      if (budget <= 0) break;
+
+      const updates = this.queue.get(tick);
+      while (updates.length > 0 && budget > 0) {
+        const { x, y, z, key } = updates.pop();
+        if (this.scheduled.get(key) !== tick) continue;
+
+        this.scheduled.delete(key);
+        this.onUpdate(x, y, z);
+        budget--;
+      }
+
+      if (updates.length === 0) {
+        this.queue.delete(tick);
+      }
+    }
+  }
+
+  /**
+   * Cancels every scheduled update
+   */
+  clear() {
+    this.scheduled.clear();
+    this.queue.clear();
+    this.currentTick = 0;
+    this.accumulator = 0;
+  }
+}
@@ -1,48 +1,388 @@
 import { GUI } from "three/addons/libs/lil-gui.module.min.js";
-import { blocks, resources } from "./blocks";
+import { blocks, getBlockType } from "./blocks";
+import { actions, getKeyName } from "./inputActions";
 import { Physics } from "./physics";
+import { movementModes } from "./player";
+import { SaveManager } from "./saveManager";
+import { WORLD_FILE_EXTENSION } from "./worldFile";
 
-export function createUI(scene, world, player, physics) {
+export function createUI(
+  scene,
+  world,
+  player,
+  physics,
+  saveManager,
+  dayNightCycle
+) {
   const gui = new GUI();
 
+  // Every block type except the empty block and the levels of flowing fluids
+  const blockOptions = Object.fromEntries(
+    Object.values(blocks)
+      .filter((blockType) => blockType.id !== blocks.empty.id)
+      .filter((blockType) => !blockType.level)
+      .map((blockType) => [blockType.name, blockType.id])
+  );
+
   const sceneFolder = gui.addFolder("Scene");
-  sceneFolder.add(scene.fog, "near", 1, 200, 1).name("Fog Near");
-  sceneFolder.add(scene.fog, "far", 1, 200, 1).name("Fog Far");
+  sceneFolder.add(world, "adaptiveFog").name("Adaptive Fog");
+  sceneFolder.add(scene.fog, "near", 1, 600, 1).name("Fog Near").listen();
+  sceneFolder.add(scene.fog, "far", 1, 600, 1).name("Fog Far").listen();
+  sceneFolder
+    .add(world, "ambientOcclusion")
+    .name("Ambient Occlusion")
+    .onChange(() => world.generateMeshes());
+
+  const timeFolder = sceneFolder.addFolder("Day/Night Cycle");
+  timeFolder
+    .add(dayNightCycle, "timeOfDay", 0, 24, 0.1)
+    .name("Time of Day (h)")
+    .listen();
+  timeFolder
+    .add(dayNightCycle, "dayLength", 10, 3600, 10)
+    .name("Day Length (s)");
+  timeFolder.add(dayNightCycle, "paused").name("Paused");
 
   const playerFolder = gui.addFolder("Player");
-  playerFolder.add(player, "maxSpeed", 1, 20).name("Max Speed");
+  playerFolder
+    .add(player, "movementMode", movementModes)
+    .name("Movement Mode")
+    .listen()
+    .onChange((mode) => player.setMovementMode(mode));
+  const speedsFolder = playerFolder.addFolder("Speeds");
+  speedsFolder.add(player.speeds, "survival", 1, 20).name("Survival");
+  speedsFolder.add(player.speeds, "creative", 1, 50).name("Creative Flight");
+  speedsFolder.add(player.speeds, "spectator", 1, 100).name("Spectator");
+  const movementFolder = playerFolder.addFolder("Movement");
+  movementFolder
+    .add(player, "groundAcceleration", 1, 50)
+    .name("Ground Acceleration");
+  movementFolder.add(player, "airAcceleration", 0, 20).name("Air Acceleration");
+  movementFolder.add(player, "friction", 1, 50).name("Friction");
+  movementFolder
+    .add(player, "sprintSpeedFactor", 1, 2, 0.05)
+    .name("Sprint Speed Factor");
+  movementFolder
+    .add(player, "sprintFovFactor", 1, 1.5, 0.01)
+    .name("Sprint FOV Factor");
+  movementFolder.add(player, "coyoteTime", 0, 0.5, 0.01).name("Coyote Time");
+  movementFolder
+    .add(player, "jumpBufferTime", 0, 0.5, 0.01)
+    .name("Jump Buffer Time");
   playerFolder.add(player, "jumpSpeed", 1, 50, 0.1).name("Jump Speed");
+  playerFolder.add(player, "stepHeight", 0, 1, 0.05).name("Step Height");
+  playerFolder
+    .add(player, "activeBlockId", blockOptions)
+    .name("Active Block")
+    .listen()
+    .onChange(() => player.updateActiveBlockText());
   playerFolder.add(player.boundsHelper, "visible").name("Debug Player Bounds");
   playerFolder.add(player.cameraHelper, "visible").name("Debug Player Camera");
 
   const physicsFolder = gui.addFolder("Physics");
   physicsFolder.add(physics.helpers, "visible").name("Debug Physics");
+  physicsFolder.add(physics, "buoyancy", 0, 1, 0.05).name("Buoyancy");
+  physicsFolder.add(physics, "waterDrag", 0, 20, 0.5).name("Water Drag");
+  physicsFolder
+    .add(physics, "swimAcceleration", 0, 100, 1)
+    .name("Swim Acceleration");
 
   const worldFolder = gui.addFolder("World");
-  worldFolder.add(world, "drawDistance", 0, 5, 1).name("Draw Distance");
+  worldFolder.add(world, "drawDistance", 0, 16, 1).name("Draw Distance");
+  worldFolder.add(world, "loadDistance", 0, 16, 1).name("Load Distance");
+  worldFolder.add(world, "frustumCulling").name("Frustum Culling");
+  worldFolder
+    .add(world, "greedyMeshing")
+    .name("Greedy Meshing")
+    .onChange(() => world.generateMeshes());
+  worldFolder
+    .add(world, "paletteCompression")
+    .name("Palette Compression")
+    .onChange(() => world.regenerate(player));
+
+  const loadingFolder = worldFolder.addFolder("Chunk Loading");
+  const { chunkManager } = world;
+  loadingFolder.add(world, "asyncLoading").name("Async Loading");
+  loadingFolder
+    .add(chunkManager, "frameBudget", 1, 16, 0.5)
+    .name("Frame Budget (ms)");
+  loadingFolder
+    .add(chunkManager, "unloadMargin", 0, 4, 1)
+    .name("Unload Margin");
+
+  // State of the loading queue, updated every frame
+  const queueStats = {
+    loaded: "Loaded",
+    queued: "Queued",
+    generating: "Generating",
+    ready: "Ready",
+    dirty: "Dirty Sections",
+    frameTime: "Frame Time (ms)",
+  };
+  for (const [key, name] of Object.entries(queueStats)) {
+    loadingFolder.add(chunkManager.stats, key).name(name).listen().disable();
+  }
+  loadingFolder.close();
+
+  const blockUpdatesFolder = worldFolder.addFolder("Block Updates");
+  const { tickScheduler } = world;
+  blockUpdatesFolder.add(tickScheduler, "tickRate", 1, 60, 1).name("Tick Rate");
+  blockUpdatesFolder
+    .add(tickScheduler, "maxUpdatesPerFrame", 16, 4096, 16)
+    .name("Max Updates Per Frame");
+  blockUpdatesFolder
+    .add(tickScheduler, "pending")
+    .name("Pending")
+    .listen()
+    .disable();
+  blockUpdatesFolder.close();
 
   const terrainFolder = gui.addFolder("Terrain");
-  terrainFolder.add(world.chunkSize, "width", 1, 150, 1).name("Width");
-  terrainFolder.add(world.chunkSize, "height", 8, 128, 1).name("Height");
+  // The player's changes are stored by chunk, so they have to be moved to
+  // the chunks that contain them now
+  terrainFolder
+    .add(world.chunkSize, "width", 1, 150, 1)
+    .name("Width")
+    .onChange((width) => world.dataStore.changeChunkWidth(width));
+  terrainFolder.add(world.chunkSize, "height", 8, 256, 1).name("Height");
+  terrainFolder
+    .add(world.chunkSize, "sectionHeight", [16, 32])
+    .name("Section Height");
   terrainFolder.add(world.params, "seed", 0, 10000, 1).name("Seed");
-  terrainFolder.add(world.params.terrain, "scale", 10, 100).name("Scale");
-  terrainFolder.add(world.params.terrain, "magnitude", 0, 1).name("Magnitude");
-  terrainFolder.add(world.params.terrain, "offset", 0, 1).name("Offset");
+  terrainFolder
+    .add(world.params.terrain, "biomeScale", 50, 1000)
+    .name("Biome Scale");
+  terrainFolder
+    .add(world.params.terrain, "biomeBlend", 0.01, 0.3)
+    .name("Biome Blend");
+  terrainFolder.add(world.params.terrain, "octaves", 1, 8, 1).name("Octaves");
+  terrainFolder
+    .add(world.params.terrain, "persistence", 0, 1)
+    .name("Persistence");
+  terrainFolder
+    .add(world.params.terrain, "lacunarity", 1, 4)
+    .name("Lacunarity");
+  terrainFolder
+    .add(world.params.terrain, "overhangScale", 5, 100)
+    .name("Overhang Scale");
+  terrainFolder
+    .add(world.params.terrain, "overhangStrength", 0, 16)
+    .name("Overhang Strength");
+
+  terrainFolder.add(world.params, "seaLevel", 0, 64, 1).name("Sea Level");
+
+  const cavesFolder = terrainFolder.addFolder("Caves");
+  cavesFolder.add(world.params.caves, "scale", 5, 100).name("Scale");
+  cavesFolder.add(world.params.caves, "size", 0, 0.5).name("Size");
+  cavesFolder.add(world.params.caves, "minHeight", 0, 64, 1).name("Min Height");
+
+  const ravinesFolder = terrainFolder.addFolder("Ravines");
+  ravinesFolder.add(world.params.ravines, "scale", 20, 500).name("Scale");
+  ravinesFolder.add(world.params.ravines, "width", 0, 0.2).name("Width");
+  ravinesFolder.add(world.params.ravines, "depth", 0, 64, 1).name("Depth");
   // terrainFolder.close();
 
-  const resourcesFolder = gui.addFolder("Resources");
-  resources.forEach((resource) => {
-    const resourceFolder = resourcesFolder.addFolder(resource.name);
-    resourceFolder.add(resource, "scarcity", 0, 1).name("Scarcity");
+  // Options for the block dropdowns, mapping block names to ids
+  const biomesFolder = gui.addFolder("Biomes");
+  Object.values(world.params.biomes).forEach((biome) => {
+    const biomeFolder = biomesFolder.addFolder(biome.name);
+    biomeFolder.add(biome, "temperature", 0, 1).name("Temperature");
+    biomeFolder.add(biome, "humidity", 0, 1).name("Humidity");
+    biomeFolder.add(biome.terrain, "scale", 10, 100).name("Scale");
+    biomeFolder.add(biome.terrain, "magnitude", 0, 1).name("Magnitude");
+    biomeFolder.add(biome.terrain, "offset", 0, 1).name("Offset");
+    biomeFolder.add(biome, "surfaceBlock", blockOptions).name("Surface Block");
+    biomeFolder
+      .add(biome, "subsurfaceBlock", blockOptions)
+      .name("Subsurface Block");
+    biomeFolder
+      .add(biome, "subsurfaceDepth", 0, 10, 1)
+      .name("Subsurface Depth");
+    biomeFolder.add(biome, "fillBlock", blockOptions).name("Fill Block");
 
-    const scaleFolder = resourceFolder.addFolder("Scale");
-    scaleFolder.add(resource.scale, "x", 10, 100).name("X Scale");
-    scaleFolder.add(resource.scale, "y", 10, 100).name("Y Scale");
-    scaleFolder.add(resource.scale, "z", 10, 100).name("Z Scale");
-    resourceFolder.close();
+    const resourcesFolder = biomeFolder.addFolder("Resources");
+    biome.resources.forEach((resource) => {
+      const blockType = getBlockType(resource.id);
+      const resourceFolder = resourcesFolder.addFolder(blockType.name);
+      resourceFolder.add(resource, "scarcity", 0, 1).name("Scarcity");
+
+      const scaleFolder = resourceFolder.addFolder("Scale");
+      scaleFolder.add(resource.scale, "x", 10, 100).name("X Scale");
+      scaleFolder.add(resource.scale, "y", 10, 100).name("Y Scale");
+      scaleFolder.add(resource.scale, "z", 10, 100).name("Z Scale");
+      resourceFolder.close();
+    });
+
+    const structuresFolder = biomeFolder.addFolder("Structures");
+    biome.structures.forEach((structure) => {
+      structuresFolder.add(structure, "density", 0, 0.2).name(structure.type);
+    });
+    biomeFolder.close();
   });
 
-  gui.onChange(() => {
-    world.generate();
+  // Only changes to the generation parameters require the world to be rebuilt
+  terrainFolder.onChange(() => {
+    world.regenerate(player);
   });
+  biomesFolder.onChange(() => {
+    world.regenerate(player);
+  });
+
+  createSavesUI(gui, saveManager);
+  createControlsUI(gui, player.actions);
+}
+
+/**
+ * Adds the folder for changing the key bindings. Clicking an action waits
+ * for the key or mouse button to bind to it.
+ * @param {GUI} gui
+ * @param {import("./inputActions").InputActions} inputActions
+ */
+function createControlsUI(gui, inputActions) {
+  const controlsFolder = gui.addFolder("Controls");
+  controlsFolder.close();
+
+  const state = {};
+  const controllers = {};
+  for (const [action, { name }] of Object.entries(actions)) {
+    state[action] = async () => {
+      controllers[action].name(`${name}: press a key...`);
+      await inputActions.rebind(action);
+      // Another action may have been given this action's old key
+      refreshNames();
+    };
+    controllers[action] = controlsFolder.add(state, action);
+  }
+
+  state.reset = () => {
+    inputActions.resetBindings();
+    refreshNames();
+  };
+  controlsFolder.add(state, "reset").name("Reset To Defaults");
+
+  function refreshNames() {
+    for (const [action, { name }] of Object.entries(actions)) {
+      const key = getKeyName(inputActions.bindings[action]);
+      controllers[action].name(`${name}: ${key}`);
+    }
+  }
+
+  refreshNames();
+}
+
+/**
+ * Adds the folder for managing save slots
+ * @param {GUI} gui
+ * @param {SaveManager} saveManager
+ */
+function createSavesUI(gui, saveManager) {
+  // The save database can fail (e.g. when storage is full), so show the
+  // error instead of leaving the promise rejection unhandled
+  const showErrors = (description, callback) => async () => {
+    try {
+      await callback();
+    } catch (error) {
+      console.error(error);
+      alert(`Failed to ${description}: ${error.message}`);
+    }
+  };
+
+  const state = {
+    name: "New World",
+    slotId: null,
+    create: showErrors("save the world", async () => {
+      await saveManager.create(state.name);
+      state.slotId = saveManager.currentSlotId;
+      await refreshSlots();
+    }),
+    save: showErrors("save the world", async () => {
+      if (state.slotId === null) return;
+      await saveManager.save(state.slotId);
+      await refreshSlots();
+    }),
+    load: showErrors("load the world", async () => {
+      if (state.slotId === null) return;
+      await saveManager.load(state.slotId);
+      // The world parameters were replaced, so refresh all of the controls
+      gui.controllersRecursive().forEach((controller) => {
+        controller.updateDisplay();
+      });
+    }),
+    rename: showErrors("rename the save", async () => {
+      if (state.slotId === null) return;
+      await saveManager.rename(state.slotId, state.name);
+      await refreshSlots();
+    }),
+    delete: showErrors("delete the save", async () => {
+      if (state.slotId === null) return;
+      await saveManager.delete(state.slotId);
+      state.slotId = null;
+      await refreshSlots();
+    }),
+    exportFile: () => {
+      saveManager.exportFile(state.name);
+    },
+    importFile: () => {
+      fileInput.click();
+    },
+  };
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = WORLD_FILE_EXTENSION;
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+
+    try {
+      saveManager.importFile(await file.arrayBuffer());
+      gui.controllersRecursive().forEach((controller) => {
+        controller.updateDisplay();
+      });
+    } catch (error) {
+      console.error(error);
+      alert(`Failed to import "${file.name}": ${error.message}`);
+    }
+  });
+
+  const savesFolder = gui.addFolder("Saves");
+  savesFolder.add(state, "name").name("Name");
+  savesFolder.add(state, "create").name("Save As New");
+  savesFolder.add(saveManager, "autosave").name("Autosave");
+  savesFolder
+    .add(saveManager, "autosaveInterval", 10, 600, 10)
+    .name("Autosave Interval (s)")
+    .onFinishChange(() => saveManager.startAutosave());
+  savesFolder.add(state, "exportFile").name("Export File");
+  savesFolder.add(state, "importFile").name("Import File");
+
+  // The slot list is rebuilt whenever the saves change, so keep it and
+  // the actions on the selected slot in their own folder
+  const slotsFolder = savesFolder.addFolder("Slots");
+
+  async function refreshSlots() {
+    const slots = await saveManager.listSlots();
+
+    const options = {};
+    for (const slot of slots) {
+      const date = new Date(slot.updatedAt).toLocaleString();
+      options[`${slot.name} (${date})`] = slot.id;
+    }
+
+    if (!slots.some(({ id }) => id === state.slotId)) {
+      state.slotId = slots[0]?.id ?? null;
+    }
+
+    [...slotsFolder.controllers].forEach((controller) => controller.destroy());
+    if (slots.length > 0) {
+      slotsFolder.add(state, "slotId", options).name("Slot");
+      slotsFolder.add(state, "load").name("Load");
+      slotsFolder.add(state, "save").name("Overwrite");
+      slotsFolder.add(state, "rename").name("Rename To Name");
+      slotsFolder.add(state, "delete").name("Delete");
+    }
+  }
+
+  showErrors("list the saves", refreshSlots)();
 }
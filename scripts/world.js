@@ -1,28 +1,88 @@
 import * as THREE from "three";
 import { WorldChunk } from "./worldChunk";
+import { ChunkManager } from "./chunkManager";
 import { Player } from "./player";
+import { blocks, getBlockType } from "./blocks";
+import { WorldDataStore } from "./worldDataStore";
+import { createBiomes } from "./biomes";
+import { TickScheduler } from "./tickScheduler";
+import { FluidSimulation, fluids, getFluid } from "./fluids";
+import { WorldLighting } from "./worldLighting";
+
+// Offsets to a block and each of the blocks next to it
+const neighborOffsets = [
+  [0, 0, 0],
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
 
 export class World extends THREE.Group {
   /**
-   * The number of chunks to render around the player.
-   * When this is set to 0, the chunk the player is on
-   * is the only one that is rendered. If it is set to 1,
-   * the adjacent chunks are rendered; if set to 2, the
-   * chunks adjacent to those are rendered, and so on.
+   * The radius (in chunks) around the player that chunks are rendered in.
+   * When this is set to 0, the chunk the player is on is the only one
+   * that is rendered. Otherwise, every chunk that is partially within
+   * the radius is rendered.
+   */
+  drawDistance = 3;
+
+  /**
+   * The radius (in chunks) around the player that chunks are loaded in.
+   * Chunks between the draw distance and the load distance are loaded
+   * but not rendered, so they are ready by the time they come into view.
+   * It is never less than the draw distance.
+   */
+  loadDistance = 4;
+
+  /**
+   * If true, chunks outside of the camera's view are hidden so they
+   * aren't drawn, while staying loaded
    */
-  drawDistance = 1;
+  frustumCulling = true;
 
   /**
-   * If true, chunks are loaded asynchronously.
+   * If true, the scene's fog is moved to fade out the world right before
+   * the edge of the draw distance
+   */
+  adaptiveFog = true;
+
+  /**
+   * If true, chunks are generated asynchronously on web workers.
+   * Otherwise they are generated on the main thread as soon as they
+   * become visible.
    */
   asyncLoading = true;
 
   /**
-   * Width and height of a single chunk of terrain
+   * If true, chunks are drawn as greedy-meshed geometry that only contains
+   * the exposed faces of blocks. Otherwise, every visible block is drawn
+   * as a cube using an InstancedMesh per block type.
+   */
+  greedyMeshing = true;
+
+  /**
+   * If true, the corners and crevices of greedy-meshed chunks are darkened
+   * by ambient occlusion. It has no effect on instanced blocks.
+   */
+  ambientOcclusion = true;
+
+  /**
+   * If true, chunks store their blocks as indices into a palette of the
+   * block types they contain instead of storing the block ids directly
+   */
+  paletteCompression = true;
+
+  /**
+   * Width and height of a single chunk of terrain, and the height of the
+   * vertical sections each chunk is split into
    */
   chunkSize = {
     width: 32,
     height: 32,
+    sectionHeight: 16,
   };
 
   /**
@@ -31,12 +91,71 @@ export class World extends THREE.Group {
   params = {
     seed: 0,
     terrain: {
-      scale: 30,
-      magnitude: 0.2,
-      offset: 0.5,
+      // Size of the temperature and humidity features that pick the biomes
+      biomeScale: 200,
+      // How far apart two climates are before their biomes stop blending
+      biomeBlend: 0.08,
+      // Number of layers of noise that make up the heightmap
+      octaves: 4,
+      // How much each octave contributes compared to the one before it
+      persistence: 0.5,
+      // How much finer each octave is than the one before it
+      lacunarity: 2,
+      // Size of the 3D noise features that bend the terrain into overhangs
+      overhangScale: 20,
+      // How many blocks the terrain can be pushed up or down by the 3D noise
+      overhangStrength: 3,
     },
+    // Height of the surface of the oceans and lakes
+    seaLevel: 12,
+    caves: {
+      // Size of the cave tunnels' winding
+      scale: 24,
+      // Width of the cave tunnels. Larger values carve out more of the ground.
+      size: 0.12,
+      // Caves don't carve blocks below this height so the world has a floor
+      minHeight: 1,
+    },
+    ravines: {
+      // Size of the ravines' winding
+      scale: 150,
+      // Width of the ravines. 0 disables them.
+      width: 0.03,
+      // Maximum number of blocks a ravine cuts into the terrain
+      depth: 16,
+    },
+    biomes: createBiomes(),
   };
 
+  /**
+   * Record of the blocks the player has changed. This is kept when
+   * chunks are unloaded or the world is regenerated so the changes
+   * can be re-applied to the regenerated terrain.
+   */
+  dataStore = new WorldDataStore(this.chunkSize.width);
+
+  /**
+   * Loads and unloads the chunks around the player
+   */
+  chunkManager = new ChunkManager(this);
+
+  /**
+   * Spreads skylight and the light given off by blocks between chunks,
+   * and relights the world as blocks change
+   */
+  lighting = new WorldLighting(this);
+
+  /**
+   * Runs the block updates scheduled when blocks change, such as
+   * fluids flowing into the space left by a removed block
+   */
+  tickScheduler = new TickScheduler((x, y, z) => this.updateBlock(x, y, z));
+
+  /**
+   * Spreads fluids when their block updates run
+   */
+  fluidSimulation = new FluidSimulation(this);
+
   constructor(seed = 0) {
     super();
     this.seed = seed;
@@ -47,35 +166,104 @@ export class World extends THREE.Group {
    * @param {Player} player
    */
   regenerate(player) {
-    this.children.forEach((obj) => {
-      obj.disposeChildren();
-    });
-    this.clear();
+    this.chunkManager.clear();
+    this.tickScheduler.clear();
     this.update(player);
   }
 
+  /**
+   * Rebuilds the meshes of every loaded chunk without regenerating
+   * the terrain (e.g. after switching between meshing modes)
+   */
+  generateMeshes() {
+    for (const chunk of this.chunkManager.chunks.values()) {
+      chunk.greedyMeshing = this.greedyMeshing;
+      chunk.ambientOcclusion = this.ambientOcclusion;
+      if (chunk.loaded) {
+        chunk.generateMeshes();
+      }
+    }
+  }
+
   /**
    * Updates the visible portions of the world based on the
    * current player position
    * @param {Player} player
+   * @param {THREE.Camera} camera Camera the world is being viewed from
    */
-  update(player) {
-    const visibleChunks = this.getVisibleChunks(player);
-    const chunksToAdd = this.getChunksToAdd(visibleChunks);
-    this.removeUnusedChunks(visibleChunks);
+  update(player, camera = player.camera) {
+    this.chunkManager.update(player, camera);
 
-    for (const chunk of chunksToAdd) {
-      this.generateChunk(chunk.x, chunk.z);
+    if (this.adaptiveFog && this.parent?.fog) {
+      this.updateFog(this.parent.fog);
     }
   }
 
+  /**
+   * Runs the block updates that are due and rebuilds the meshes of the
+   * sections whose blocks or light changed, nearest to the player first
+   * @param {number} dt
+   * @param {Player} player
+   */
+  updateBlocks(dt, player) {
+    this.tickScheduler.update(dt);
+    this.chunkManager.updateDirtySections(player);
+  }
+
+  /**
+   * Runs the block update for the block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  updateBlock(x, y, z) {
+    this.fluidSimulation.update(x, y, z);
+  }
+
+  /**
+   * Schedules block updates for the block at (x, y, z) and the blocks next
+   * to it, so blocks that react to their surroundings can respond to it
+   * changing. Only fluids react to their surroundings at the moment.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  scheduleBlockUpdates(x, y, z) {
+    for (const [dx, dy, dz] of neighborOffsets) {
+      const fluid = getFluid(this.getBlock(x + dx, y + dy, z + dz)?.id);
+      if (fluid) {
+        this.tickScheduler.schedule(x + dx, y + dy, z + dz, fluid.tickDelay);
+      }
+    }
+  }
+
+  /**
+   * Fades the fog out at the draw distance. Every point closer than the
+   * draw distance is within a rendered chunk, so the edge of the world
+   * is always hidden.
+   * @param {THREE.Fog} fog
+   */
+  updateFog(fog) {
+    fog.far = Math.max(this.drawDistance, 0.5) * this.chunkSize.width;
+    fog.near = fog.far * 0.5;
+  }
+
+  /**
+   * Returns the radius (in chunks) around the player that chunks are loaded in
+   * @returns {number}
+   */
+  getLoadDistance() {
+    return Math.max(this.loadDistance, this.drawDistance);
+  }
+
   /**
    * Returns an array containing the coordinates of the chunks that
-   * are current visible to the player
+   * are partially within `distance` chunks of the player
    * @param {Player} player
+   * @param {number} distance
    * @returns {{ x: number, z: number}[]}
    */
-  getVisibleChunks(player) {
+  getVisibleChunks(player, distance = this.drawDistance) {
     // Get the coordinates of the chunk the player is currently in
     const coords = this.worldToChunkCoords(
       player.position.x,
@@ -83,18 +271,15 @@ export class World extends THREE.Group {
       player.position.z
     );
 
+    // Check every chunk in the square around the circle
+    const range = Math.ceil(distance) + 1;
+
     const visibleChunks = [];
-    for (
-      let x = coords.chunk.x - this.drawDistance;
-      x <= coords.chunk.x + this.drawDistance;
-      x++
-    ) {
-      for (
-        let z = coords.chunk.z - this.drawDistance;
-        z <= coords.chunk.z + this.drawDistance;
-        z++
-      ) {
-        visibleChunks.push({ x, z });
+    for (let x = coords.chunk.x - range; x <= coords.chunk.x + range; x++) {
+      for (let z = coords.chunk.z - range; z <= coords.chunk.z + range; z++) {
+        if (this.getChunkDistance(x, z, player.position) <= distance) {
+          visibleChunks.push({ x, z });
+        }
       }
     }
 
@@ -102,99 +287,371 @@ export class World extends THREE.Group {
   }
 
   /**
-   * Returns an array containing the coordinates of the chunks that
-   * are not yet loaded and need to be added to the scene
-   * @param {{ x: number, z: number}[]} visibleChunks
-   * @returns {{ x: number, z: number}[]}
+   * Returns the horizontal distance (in chunks) from `position` to the
+   * closest point of the chunk at (chunkX, chunkZ)
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {THREE.Vector3} position
+   * @returns {number}
    */
-  getChunksToAdd(visibleChunks) {
-    // Filter down visible chunks, removing ones that already exist
-    return visibleChunks.filter((chunkToAdd) => {
-      const chunkExists = this.children
-        .map((obj) => obj.userData)
-        .find(({ x, z }) => {
-          return chunkToAdd.x === x && chunkToAdd.z === z;
-        });
+  getChunkDistance(chunkX, chunkZ, position) {
+    // Blocks are centered on integer coordinates, so chunks start half
+    // a block before their first block
+    const x = (position.x + 0.5) / this.chunkSize.width;
+    const z = (position.z + 0.5) / this.chunkSize.width;
+    const dx = Math.max(chunkX - x, 0, x - (chunkX + 1));
+    const dz = Math.max(chunkZ - z, 0, z - (chunkZ + 1));
+    return Math.hypot(dx, dz);
+  }
 
-      return !chunkExists;
-    });
+  /**
+   * Returns true if the point is inside a water block
+   * @param {THREE.Vector3} point
+   * @returns {boolean}
+   */
+  isInWater(point) {
+    // Blocks are centered on integer coordinates
+    const block = this.getBlock(
+      Math.round(point.x),
+      Math.round(point.y),
+      Math.round(point.z)
+    );
+    return getFluid(block?.id) === fluids.water;
   }
 
   /**
-   * Removes current loaded chunks that are no longer visible to the player
-   * @param {{ x: number, z: number}[]} visibleChunks
+   * Returns the y coordinate of the highest block in the column at (x, z)
+   * that is safe to stand on: a solid block with two blocks above it that
+   * can be walked through and aren't fluids
+   * @param {number} x
+   * @param {number} z
+   * @returns {number | null} null if the column isn't loaded or there is
+   * nowhere safe to stand in it
    */
-  removeUnusedChunks(visibleChunks) {
-    // Filter current chunks, getting ones that don't exist in visible chunks
-    const chunksToRemove = this.children.filter((obj) => {
-      const { x, z } = obj.userData;
-      const chunkExists = visibleChunks.find((visibleChunk) => {
-        return visibleChunk.x === x && visibleChunk.z === z;
-      });
+  findSurface(x, z) {
+    // Blocks above the top of the world are empty
+    const isOpen = (y) => {
+      const id = this.getBlock(x, y, z)?.id ?? blocks.empty.id;
+      if (id === blocks.empty.id) return true;
+      return getBlockType(id).solid === false && !getFluid(id);
+    };
+
+    for (let y = this.chunkSize.height - 1; y >= 0; y--) {
+      const block = this.getBlock(x, y, z);
+      if (!block) return null;
+      if (block.id === blocks.empty.id) continue;
 
-      return !chunkExists;
-    });
+      const solid = getBlockType(block.id).solid !== false;
+      if (solid && isOpen(y + 1) && isOpen(y + 2)) return y;
+    }
+    return null;
+  }
 
-    for (const chunk of chunksToRemove) {
-      chunk.disposeChildren();
-      this.remove(chunk);
-      //console.log(`Removed chunk at X: ${chunk.userData.x} Z: ${chunk.userData.z}`);
+  /**
+   * Returns true if any block that can't be walked through overlaps the box
+   * @param {THREE.Box3} box
+   * @returns {boolean}
+   */
+  intersectsSolidBlock(box) {
+    // Blocks are centered on integer coordinates, and boxes that only touch
+    // a block don't overlap it
+    const min = box.min.clone().addScalar(0.5).floor();
+    const max = box.max.clone().addScalar(0.5).ceil().subScalar(1);
+    for (let x = min.x; x <= max.x; x++) {
+      for (let y = min.y; y <= max.y; y++) {
+        for (let z = min.z; z <= max.z; z++) {
+          const id = this.getBlock(x, y, z)?.id ?? blocks.empty.id;
+          if (id !== blocks.empty.id && getBlockType(id).solid !== false) {
+            return true;
+          }
+        }
+      }
     }
+    return false;
   }
 
   /**
-   * Generates the chunk at the (x,z) coordinates
+   * Gets the block data at (x, y, z)
    * @param {number} x
+   * @param {number} y
    * @param {number} z
+   * @returns {{id: number, instanceId: number} | null}
    */
-  generateChunk(x, z) {
-    const chunk = new WorldChunk(this.chunkSize, this.params);
-    chunk.position.set(x * this.chunkSize.width, 0, z * this.chunkSize.width);
-    chunk.userData = { x, z };
+  getBlock(x, y, z) {
+    const coords = this.worldToChunkCoords(x, y, z);
+    const section = this.getSection(
+      coords.chunk.x,
+      coords.chunk.y,
+      coords.chunk.z
+    );
 
-    if (this.asyncLoading) {
-      requestIdleCallback(chunk.generate.bind(chunk), { timeout: 1000 });
+    if (section) {
+      const blockY = coords.block.y - section.minY;
+      return {
+        id: section.getBlockId(coords.block.x, blockY, coords.block.z),
+        instanceId: section.getBlockInstanceId(
+          coords.block.x,
+          blockY,
+          coords.block.z
+        ),
+      };
     } else {
-      chunk.generate();
+      return null;
     }
+  }
+
+  /**
+   * Adds a new block of type `blockId` at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} blockId
+   */
+  addBlock(x, y, z, blockId) {
+    const coords = this.worldToChunkCoords(x, y, z);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+
+    if (chunk && chunk.loaded) {
+      chunk.addBlock(coords.block.x, coords.block.y, coords.block.z, blockId);
+      this.lighting.updateBlock(x, y, z);
+      this.checkNeighborSections(x, y, z);
+
+      // Hide any neighboring blocks that are now completely covered.
+      // Greedy-meshed sections are rebuilt by `updateBlocks` instead.
+      if (!chunk.greedyMeshing) {
+        this.hideBlock(x - 1, y, z);
+        this.hideBlock(x + 1, y, z);
+        this.hideBlock(x, y - 1, z);
+        this.hideBlock(x, y + 1, z);
+        this.hideBlock(x, y, z - 1);
+        this.hideBlock(x, y, z + 1);
+      }
 
-    this.add(chunk);
-    //console.log(`Creating chunk at X: ${x} Z: ${z}`);
+      this.scheduleBlockUpdates(x, y, z);
+    }
   }
 
   /**
-   * Gets the block data at (x, y, z)
+   * Removes the block at (x, y, z)
    * @param {number} x
    * @param {number} y
    * @param {number} z
-   * @returns {{id: number, instanceId: number} | null}
    */
-  getBlock(x, y, z) {
+  removeBlock(x, y, z) {
     const coords = this.worldToChunkCoords(x, y, z);
     const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
 
     if (chunk && chunk.loaded) {
-      return chunk.getBlock(coords.block.x, y, coords.block.z);
-    } else {
-      return null;
+      chunk.removeBlock(coords.block.x, coords.block.y, coords.block.z);
+      // Relight first so the revealed blocks are added with their new light
+      this.lighting.updateBlock(x, y, z);
+      this.checkNeighborSections(x, y, z);
+
+      // Reveal any neighboring blocks that were previously obscured.
+      // These are looked up in world coordinates so blocks in the
+      // adjacent chunks are revealed as well. Greedy-meshed sections are
+      // rebuilt by `updateBlocks` instead.
+      if (!chunk.greedyMeshing) {
+        this.revealBlock(x - 1, y, z);
+        this.revealBlock(x + 1, y, z);
+        this.revealBlock(x, y - 1, z);
+        this.revealBlock(x, y + 1, z);
+        this.revealBlock(x, y, z - 1);
+        this.revealBlock(x, y, z + 1);
+      }
+
+      this.scheduleBlockUpdates(x, y, z);
+    }
+  }
+
+  /**
+   * Replaces the block at (x, y, z) with a block of type `blockId`. This is
+   * used for the changes block updates make to the world.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} blockId
+   */
+  setBlock(x, y, z, blockId) {
+    const coords = this.worldToChunkCoords(x, y, z);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+
+    if (chunk && chunk.loaded) {
+      chunk.setBlock(coords.block.x, coords.block.y, coords.block.z, blockId);
+      this.lighting.updateBlock(x, y, z);
+      this.checkNeighborSections(x, y, z);
+
+      // Update which of the neighboring blocks are covered
+      if (!chunk.greedyMeshing) {
+        for (const [dx, dy, dz] of neighborOffsets.slice(1)) {
+          this.revealBlock(x + dx, y + dy, z + dz);
+          this.hideBlock(x + dx, y + dy, z + dz);
+        }
+      }
+
+      this.scheduleBlockUpdates(x, y, z);
+    }
+  }
+
+  /**
+   * Rechecks whether the sections beside the block at (x, y, z) in the
+   * neighboring chunks are buried, since the block may have covered or
+   * exposed their sides
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  checkNeighborSections(x, y, z) {
+    const { chunk } = this.worldToChunkCoords(x, y, z);
+    for (const [dx, dy, dz] of neighborOffsets) {
+      if (dy !== 0) continue;
+      const coords = this.worldToChunkCoords(x + dx, y, z + dz);
+      if (coords.chunk.x === chunk.x && coords.chunk.z === chunk.z) continue;
+
+      const neighbor = this.getChunk(coords.chunk.x, coords.chunk.z);
+      if (neighbor?.loaded) neighbor.checkHiddenSections(y);
+    }
+  }
+
+  /**
+   * Reveals the block at (x, y, z) by adding a new mesh instance
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  revealBlock(x, y, z) {
+    const coords = this.worldToChunkCoords(x, y, z);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+
+    if (chunk && chunk.loaded) {
+      chunk.addBlockInstance(coords.block.x, coords.block.y, coords.block.z);
+    }
+  }
+
+  /**
+   * Hides the block at (x, y, z) if it is completely obscured
+   * by its neighbors
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  hideBlock(x, y, z) {
+    const coords = this.worldToChunkCoords(x, y, z);
+    const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+
+    if (
+      chunk &&
+      chunk.loaded &&
+      chunk.isBlockObscured(coords.block.x, coords.block.y, coords.block.z)
+    ) {
+      chunk.deleteBlockInstance(coords.block.x, coords.block.y, coords.block.z);
+    }
+  }
+
+  /**
+   * Casts a ray through the block grid using a DDA traversal and returns
+   * the first block it hits, passing through empty blocks and fluids, along
+   * with the normal of the face the ray entered through. Blocks are centered
+   * on integer coordinates.
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} direction Normalized ray direction
+   * @param {number} maxDistance
+   * @returns {{
+   *  block: { x: number, y: number, z: number },
+   *  normal: { x: number, y: number, z: number },
+   *  blockId: number,
+   *  distance: number
+   * } | null}
+   */
+  raycast(origin, direction, maxDistance) {
+    // Shift the origin so block boundaries fall on integer coordinates
+    const ox = origin.x + 0.5;
+    const oy = origin.y + 0.5;
+    const oz = origin.z + 0.5;
+
+    let x = Math.floor(ox);
+    let y = Math.floor(oy);
+    let z = Math.floor(oz);
+
+    const stepX = Math.sign(direction.x);
+    const stepY = Math.sign(direction.y);
+    const stepZ = Math.sign(direction.z);
+
+    // Distance along the ray between successive grid lines on each axis
+    const tDeltaX = stepX !== 0 ? Math.abs(1 / direction.x) : Infinity;
+    const tDeltaY = stepY !== 0 ? Math.abs(1 / direction.y) : Infinity;
+    const tDeltaZ = stepZ !== 0 ? Math.abs(1 / direction.z) : Infinity;
+
+    // Distance along the ray to the first grid line crossed on each axis
+    let tMaxX = Infinity;
+    if (stepX > 0) tMaxX = (x + 1 - ox) * tDeltaX;
+    if (stepX < 0) tMaxX = (ox - x) * tDeltaX;
+    let tMaxY = Infinity;
+    if (stepY > 0) tMaxY = (y + 1 - oy) * tDeltaY;
+    if (stepY < 0) tMaxY = (oy - y) * tDeltaY;
+    let tMaxZ = Infinity;
+    if (stepZ > 0) tMaxZ = (z + 1 - oz) * tDeltaZ;
+    if (stepZ < 0) tMaxZ = (oz - z) * tDeltaZ;
+
+    let distance = 0;
+    const normal = { x: 0, y: 0, z: 0 };
+
+    while (distance <= maxDistance) {
+      const block = this.getBlock(x, y, z);
+      if (block && block.id !== blocks.empty.id && !getFluid(block.id)) {
+        return {
+          block: { x, y, z },
+          normal: { ...normal },
+          blockId: block.id,
+          distance,
+        };
+      }
+
+      // Step into the next block along whichever axis has the closest boundary
+      if (tMaxX < tMaxY && tMaxX < tMaxZ) {
+        x += stepX;
+        distance = tMaxX;
+        tMaxX += tDeltaX;
+        normal.x = -stepX;
+        normal.y = 0;
+        normal.z = 0;
+      } else if (tMaxY < tMaxZ) {
+        y += stepY;
+        distance = tMaxY;
+        tMaxY += tDeltaY;
+        normal.x = 0;
+        normal.y = -stepY;
+        normal.z = 0;
+      } else {
+        z += stepZ;
+        distance = tMaxZ;
+        tMaxZ += tDeltaZ;
+        normal.x = 0;
+        normal.y = 0;
+        normal.z = -stepZ;
+      }
     }
+
+    return null;
   }
 
   /**
    * Returns the chunk and world coordinates of the block at (x,y,z)\
-   *  - `chunk` is the coordinates of the chunk containing the block
+   *  - `chunk` is the coordinates of the chunk containing the block, where
+   *    `y` is the index of the chunk section containing the block
    *  - `block` is the world coordinates of the block
    * @param {number} x
    * @param {number} y
    * @param {number} z
    * @returns {{
-   *  chunk: { x: number, z: number},
+   *  chunk: { x: number, y: number, z: number},
    *  block: { x: number, y: number, z: number}
    * }}
    */
   worldToChunkCoords(x, y, z) {
     const chunkCoords = {
       x: Math.floor(x / this.chunkSize.width),
+      y: Math.floor(y / this.chunkSize.sectionHeight),
       z: Math.floor(z / this.chunkSize.width),
     };
 
@@ -217,8 +674,22 @@ export class World extends THREE.Group {
    * @returns {WorldChunk | null}
    */
   getChunk(chunkX, chunkZ) {
-    return this.children.find((chunk) => {
-      return chunk.userData.x === chunkX && chunk.userData.z === chunkZ;
-    });
+    return this.chunkManager.getChunk(chunkX, chunkZ) ?? null;
+  }
+
+  /**
+   * Returns the section of a loaded chunk at the specified coordinates
+   * @param {number} chunkX
+   * @param {number} chunkY Index of the section within the chunk
+   * @param {number} chunkZ
+   * @returns {import("./chunkSection.js").ChunkSection | null}
+   */
+  getSection(chunkX, chunkY, chunkZ) {
+    const chunk = this.getChunk(chunkX, chunkZ);
+    if (chunk && chunk.loaded) {
+      return chunk.sections[chunkY] ?? null;
+    } else {
+      return null;
+    }
   }
 }
@@ -1,185 +1,371 @@
 import * as THREE from "three";
-import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise.js";
-import { RNG } from "./rng";
-import { blocks, resources } from "./blocks.js";
-
-const geometry = new THREE.BoxGeometry(1, 1, 1);
+import { blocks } from "./blocks.js";
+import { WorldDataStore } from "./worldDataStore.js";
+import { blockFaceTiles } from "./blockMaterials.js";
+import { generateChunkData } from "./chunkGenerator.js";
+import { ChunkWorkerPool } from "./chunkWorkerPool.js";
+import { getBlockIndex, getSectionBounds } from "./blockStorage.js";
+import { ChunkSection } from "./chunkSection.js";
+import { isCross, isOpaque } from "./chunkMesher.js";
+import { getFluid } from "./fluids.js";
+import { computeChunkLight, fullSkyLight } from "./lighting.js";
 
 export class WorldChunk extends THREE.Group {
   /**
-   * @type {{
-   *  id: number,
-   *  instanceId: number
-   * }[][][]}
+   * Vertical sections of the chunk, from the bottom up. Created when the
+   * chunk is initialized.
+   * @type {ChunkSection[]}
+   */
+  sections = [];
+
+  /**
+   * If true, block ids are stored as indices into a palette of the block
+   * types in each section, which halves the memory used by most sections
+   */
+  paletteCompression = true;
+
+  /**
+   * If true, the chunk is drawn as a single greedy-meshed geometry per
+   * section containing only the exposed block faces. Otherwise, each visible
+   * block is drawn as a cube in an InstancedMesh per block type.
+   */
+  greedyMeshing = true;
+
+  /**
+   * If true, the corners and crevices of greedy-meshed sections are shaded
+   * by ambient occlusion
+   */
+  ambientOcclusion = true;
+
+  /**
+   * Sections whose meshes are out of date after blocks or their light
+   * changed. They are rebuilt by `ChunkManager.updateDirtySections`, so
+   * changing many blocks at once (e.g. flowing fluids) rebuilds each
+   * section once.
+   * @type {Set<ChunkSection>}
+   */
+  dirtySections = new Set();
+
+  /**
+   * Light of every block in the chunk, ordered by x, then y, then z. See
+   * `lighting.js` for how the light is stored.
+   * @type {Uint8Array | null}
+   */
+  light = null;
+
+  /**
+   * Lighting of the world the chunk is in, used to look up the light of the
+   * blocks in the neighboring chunks. Set by the chunk manager.
+   * @type {import("./worldLighting.js").WorldLighting | null}
    */
-  data = [];
+  lighting = null;
 
-  constructor(size, params) {
+  /**
+   * @param {{ width: number, height: number, sectionHeight: number }} size
+   * @param {object} params
+   * @param {WorldDataStore} dataStore
+   */
+  constructor(size, params, dataStore) {
     super();
     this.size = size;
     this.params = params;
+    this.dataStore = dataStore;
     this.loaded = false;
+
+    /**
+     * Worker task generating the chunk, while one is running
+     * @type {ReturnType<ChunkWorkerPool["run"]> | null}
+     */
+    this.generationTask = null;
+
+    /**
+     * Data generated by a worker that hasn't been turned into meshes yet
+     * @type {{
+     *  blockIds: Uint16Array,
+     *  light: Uint8Array,
+     *  meshData: object
+     * } | null}
+     */
+    this.generationResult = null;
   }
 
   /**
    * Generates the world data and meshes
    */
   generate() {
-    const start = performance.now();
-
-    const rng = new RNG(this.params.seed);
     this.initialize();
-    this.generateResources(rng);
-    this.generateTerrain(rng);
+    const blockIds = generateChunkData(this.getGenerationOptions());
+    this.loadBlockIds(blockIds);
+    this.light = computeChunkLight(this.size, blockIds);
     this.generateMeshes();
 
     this.loaded = true;
+  }
+
+  /**
+   * Generates the world data and mesh buffers on a worker. Once they are
+   * ready they are stored in `generationResult` until `finishGeneration`
+   * is called to create the meshes. The result is identical to `generate`.
+   * @param {ChunkWorkerPool} workerPool
+   */
+  generateAsync(workerPool) {
+    this.generationTask = workerPool.run({
+      options: this.getGenerationOptions(),
+      greedyMeshing: this.greedyMeshing,
+      ambientOcclusion: this.ambientOcclusion,
+      blockFaceTiles,
+    });
 
-    console.log(`Loaded chunk in ${performance.now() - start}ms`);
+    this.generationTask.promise
+      .then((result) => {
+        this.generationTask = null;
+        this.generationResult = result;
+      })
+      .catch((error) => {
+        // Cancelled chunks have already been removed from the world
+        if (error.name === "AbortError") return;
+
+        // Generate the data here instead so the chunk isn't left empty.
+        // Without mesh data, `finishGeneration` builds the meshes itself.
+        console.error(error);
+        const blockIds = generateChunkData(this.getGenerationOptions());
+        this.generationTask = null;
+        this.generationResult = {
+          blockIds,
+          light: computeChunkLight(this.size, blockIds),
+        };
+      });
+  }
+
+  /**
+   * Creates the meshes from the data generated by `generateAsync`
+   */
+  finishGeneration() {
+    const { blockIds, light, meshData } = this.generationResult;
+    this.generationResult = null;
+    this.initialize();
+    this.loadBlockIds(blockIds);
+    this.light = light;
+    this.generateMeshes(meshData);
+
+    this.loaded = true;
+  }
+
+  /**
+   * Stops the chunk from being generated if it is still waiting on a worker
+   */
+  cancelGeneration() {
+    this.generationTask?.cancel();
+    this.generationTask = null;
+    this.generationResult = null;
+  }
+
+  /**
+   * Returns everything needed to generate this chunk's block data
+   * @returns {import("./chunkGenerator.js").ChunkGenerationOptions}
+   */
+  getGenerationOptions() {
+    const { x, z } = this.userData;
+    return {
+      size: { ...this.size },
+      params: this.params,
+      position: { x: this.position.x, y: this.position.y, z: this.position.z },
+      savedData: this.dataStore.getChunkData(x, z),
+      changes: this.dataStore.getChunkChanges(x, z),
+    };
   }
 
   /**
    * Initializes an empty world
    */
   initialize() {
-    this.data = [];
-    for (let x = 0; x < this.size.width; x++) {
-      const slice = [];
-      for (let y = 0; y < this.size.height; y++) {
-        const row = [];
-        for (let z = 0; z < this.size.width; z++) {
-          row.push({
-            id: blocks.empty.id,
-            instanceId: null,
-          });
-        }
-        slice.push(row);
+    this.disposeChildren();
+    this.sections = getSectionBounds(this.size).map(
+      ({ minY, maxY }) => new ChunkSection(this, minY, maxY)
+    );
+    this.add(...this.sections);
+  }
+
+  /**
+   * Fills the chunk with the block ids from `blockIds` (ordered by x, then y,
+   * then z)
+   * @param {Uint16Array} blockIds
+   */
+  loadBlockIds(blockIds) {
+    for (const section of this.sections) {
+      section.loadBlockIds(blockIds);
+    }
+  }
+
+  /**
+   * Returns the id of every block in the chunk, ordered by x, then y, then z
+   * @returns {Uint16Array}
+   */
+  getBlockIds() {
+    const blockIds = new Uint16Array(this.size.width ** 2 * this.size.height);
+    for (const section of this.sections) {
+      section.writeBlockIds(blockIds);
+    }
+    return blockIds;
+  }
+
+  /**
+   * Generates the meshes of every section from the world data
+   * @param {{
+   *  greedyMeshing: boolean,
+   *  ambientOcclusion: boolean,
+   *  sections: Parameters<ChunkSection["generateMeshes"]>[0][]
+   * }} [meshData] Mesh data for each section that was already computed by a
+   * worker. It is ignored if it was computed for a different meshing mode.
+   */
+  generateMeshes(meshData) {
+    const sectionMeshData =
+      meshData?.greedyMeshing === this.greedyMeshing &&
+      meshData.ambientOcclusion === this.ambientOcclusion
+        ? meshData.sections
+        : [];
+
+    this.sections.forEach((section, i) => {
+      section.generateMeshes(sectionMeshData[i]);
+    });
+  }
+
+  /**
+   * Marks the section containing the block at `y` as needing new meshes,
+   * along with the sections above and below if the block is on their border
+   * @param {number} y
+   */
+  markSectionsDirty(y) {
+    const section = this.getSection(y);
+    this.dirtySections.add(section);
+    if (y === section.minY && y > 0) {
+      this.dirtySections.add(this.getSection(y - 1));
+    }
+    if (y === section.maxY - 1 && y < this.size.height - 1) {
+      this.dirtySections.add(this.getSection(y + 1));
+    }
+  }
+
+  /**
+   * Marks the sections that have become buried or exposed since they were
+   * meshed as dirty. Sections on the sides of the chunk are buried by the
+   * neighboring chunks, so this is needed when a neighboring chunk is
+   * loaded or unloaded, or its blocks next to this chunk change.
+   * @param {number} [y] Only check the section containing this height
+   */
+  checkHiddenSections(y) {
+    const sections = y === undefined ? this.sections : [this.getSection(y)];
+    for (const section of sections) {
+      if (section.isHidden() !== section.hidden) {
+        this.dirtySections.add(section);
       }
-      this.data.push(slice);
     }
   }
 
   /**
-   * Generates resources within the world
-   * @param {RNG} rng Random number generator
-   */
-  generateResources(rng) {
-    for (const resource of resources) {
-      const simplex = new SimplexNoise(rng);
-      for (let x = 0; x < this.size.width; x++) {
-        for (let y = 0; y < this.size.height; y++) {
-          for (let z = 0; z < this.size.width; z++) {
-            const n = simplex.noise3d(
-              (this.position.x + x) / resource.scale.x,
-              (this.position.y + y) / resource.scale.y,
-              (this.position.z + z) / resource.scale.z
-            );
-
-            if (n > resource.scarcity) {
-              this.setBlockId(x, y, z, resource.id);
-            }
-          }
-        }
+   * Adds a new block at (x, y, z) of type `blockId`
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} blockId
+   */
+  addBlock(x, y, z, blockId) {
+    // Safety check that we aren't adding a block to a spot that already has
+    // one. Fluids are replaced by the new block.
+    const currentId = this.getBlockId(x, y, z);
+    if (currentId === blocks.empty.id || getFluid(currentId)) {
+      this.deleteBlockInstance(x, y, z);
+      this.setBlockId(x, y, z, blockId);
+      if (this.greedyMeshing) {
+        this.markSectionsDirty(y);
+      } else {
+        this.addBlockInstance(x, y, z);
       }
+      this.dataStore.set(this.userData.x, this.userData.z, x, y, z, blockId);
     }
   }
 
   /**
-   * Generates the world terrain data
-   * @param {RNG} rng Random number generator
-   */
-  generateTerrain(rng) {
-    const simplex = new SimplexNoise(rng);
-    for (let x = 0; x < this.size.width; x++) {
-      for (let z = 0; z < this.size.width; z++) {
-        // Compute noise value at this x-z location
-        const value = simplex.noise(
-          (this.position.x + x) / this.params.terrain.scale,
-          (this.position.z + z) / this.params.terrain.scale
-        );
-
-        // Scale noise based on the magnitude and add in the offset
-        const scaledNoise =
-          this.params.terrain.offset + this.params.terrain.magnitude * value;
-
-        // Compute final height of terrain at this location
-        let height = this.size.height * scaledNoise;
-
-        // Clamp between 0 and max height
-        height = Math.max(
-          0,
-          Math.min(Math.floor(height), this.size.height - 1)
-        );
-
-        // Starting at the terrain height, fill in all the blocks below that height
-        for (let y = 0; y < this.size.height; y++) {
-          if (y === height) {
-            this.setBlockId(x, y, z, blocks.grass.id);
-            // Fill in blocks with dirt if they aren't already filled with something else
-          } else if (
-            y < height &&
-            this.getBlock(x, y, z).id === blocks.empty.id
-          ) {
-            this.setBlockId(x, y, z, blocks.dirt.id);
-            // Clear everything above
-          } else if (y > height) {
-            this.setBlockId(x, y, z, blocks.empty.id);
-          }
-        }
+   * Removes the block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  removeBlock(x, y, z) {
+    const block = this.getBlock(x, y, z);
+    if (block && block.id !== blocks.empty.id) {
+      this.deleteBlockInstance(x, y, z);
+      this.setBlockId(x, y, z, blocks.empty.id);
+      if (this.greedyMeshing) {
+        this.markSectionsDirty(y);
       }
+      this.dataStore.set(
+        this.userData.x,
+        this.userData.z,
+        x,
+        y,
+        z,
+        blocks.empty.id
+      );
     }
   }
 
   /**
-   * Generates the meshes from the world data
+   * Replaces the block at (x, y, z) with a block of type `blockId`. Unlike
+   * `addBlock`, this replaces any block that is already there.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} blockId
    */
-  generateMeshes() {
-    this.disposeChildren();
+  setBlock(x, y, z, blockId) {
+    if (!this.inBounds(x, y, z) || this.getBlockId(x, y, z) === blockId) {
+      return;
+    }
 
-    // Create lookup table of InstancedMesh's with the block id being the key
-    const meshes = {};
-    Object.values(blocks)
-      .filter((blockType) => blockType.id !== blocks.empty.id)
-      .forEach((blockType) => {
-        const maxCount = this.size.width * this.size.width * this.size.height;
-        const mesh = new THREE.InstancedMesh(
-          geometry,
-          blockType.material,
-          maxCount
-        );
-        mesh.name = blockType.name;
-        mesh.count = 0;
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        meshes[blockType.id] = mesh;
-      });
+    this.deleteBlockInstance(x, y, z);
+    this.setBlockId(x, y, z, blockId);
+    if (this.greedyMeshing) {
+      this.markSectionsDirty(y);
+    } else {
+      this.addBlockInstance(x, y, z);
+    }
+    this.dataStore.set(this.userData.x, this.userData.z, x, y, z, blockId);
+  }
 
-    // Add instances for each non-empty block
-    const matrix = new THREE.Matrix4();
-    for (let x = 0; x < this.size.width; x++) {
-      for (let y = 0; y < this.size.height; y++) {
-        for (let z = 0; z < this.size.width; z++) {
-          const blockId = this.getBlock(x, y, z).id;
-
-          // Ignore empty blocks
-          if (blockId === blocks.empty.id) continue;
-
-          const mesh = meshes[blockId];
-          const instanceId = mesh.count;
-
-          // Create a new instance if block is not obscured by other blocks
-          if (!this.isBlockObscured(x, y, z)) {
-            matrix.setPosition(x, y, z);
-            mesh.setMatrixAt(instanceId, matrix);
-            this.setBlockInstanceId(x, y, z, instanceId);
-            mesh.count++;
-          }
-        }
-      }
+  /**
+   * Creates a new instance for the block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  addBlockInstance(x, y, z) {
+    if (this.inBounds(x, y, z)) {
+      const section = this.getSection(y);
+      section.addBlockInstance(x, y - section.minY, z);
     }
+  }
 
-    // Add all instanced meshes to the scene
-    this.add(...Object.values(meshes));
+  /**
+   * Removes the mesh instance associated with the block at (x, y, z)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  deleteBlockInstance(x, y, z) {
+    if (this.inBounds(x, y, z)) {
+      const section = this.getSection(y);
+      section.deleteBlockInstance(x, y - section.minY, z);
+    }
+  }
+
+  /**
+   * Returns the section containing blocks at height `y`
+   * @param {number} y
+   * @returns {ChunkSection | undefined}
+   */
+  getSection(y) {
+    return this.sections[Math.floor(y / this.size.sectionHeight)];
   }
 
   /**
@@ -191,12 +377,91 @@ export class WorldChunk extends THREE.Group {
    */
   getBlock(x, y, z) {
     if (this.inBounds(x, y, z)) {
-      return this.data[x][y][z];
+      const section = this.getSection(y);
+      return {
+        id: section.getBlockId(x, y - section.minY, z),
+        instanceId: section.getBlockInstanceId(x, y - section.minY, z),
+      };
     } else {
       return null;
     }
   }
 
+  /**
+   * Gets the id of the block at (x, y, z). Unlike `getBlock`, this doesn't
+   * allocate, so it is used when scanning every block in the chunk.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null}
+   */
+  getBlockId(x, y, z) {
+    if (this.inBounds(x, y, z)) {
+      const section = this.getSection(y);
+      return section.getBlockId(x, y - section.minY, z);
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * Gets the id of the block at (x, y, z) like `getBlockId`, except that
+   * blocks beside the chunk are looked up in the neighboring chunks.
+   * Returns null if the block's chunk isn't loaded.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null}
+   */
+  getBlockIdWithNeighbors(x, y, z) {
+    if (this.inBounds(x, y, z)) return this.getBlockId(x, y, z);
+    if (y < 0 || y >= this.size.height) return null;
+
+    const { width } = this.size;
+    const dx = Math.floor(x / width);
+    const dz = Math.floor(z / width);
+    const neighbor = this.lighting?.world.getChunk(
+      this.userData.x + dx,
+      this.userData.z + dz
+    );
+    if (!neighbor?.loaded) return null;
+    return neighbor.getBlockId(x - dx * width, y, z - dz * width);
+  }
+
+  /**
+   * Gets the light of the block at (x, y, z). Blocks in the neighboring
+   * chunks are looked up through the world, and are treated as open to the
+   * sky if their chunk isn't loaded. Above the chunk is always open to the
+   * sky and below it is always dark.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number}
+   */
+  getLight(x, y, z) {
+    if (y >= this.size.height) return fullSkyLight;
+    if (y < 0) return 0;
+    if (this.inBounds(x, y, z)) {
+      return this.light[getBlockIndex(this.size, x, y, z)];
+    }
+    return (
+      this.lighting?.getLight(x + this.position.x, y, z + this.position.z) ??
+      fullSkyLight
+    );
+  }
+
+  /**
+   * Sets the light of the block at (x, y, z). The coordinates must be in
+   * bounds.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} light
+   */
+  setLight(x, y, z, light) {
+    this.light[getBlockIndex(this.size, x, y, z)] = light;
+  }
+
   /**
    * Sets the block id for the block at (x, y, z)
    * @param {number} x
@@ -206,7 +471,8 @@ export class WorldChunk extends THREE.Group {
    */
   setBlockId(x, y, z, id) {
     if (this.inBounds(x, y, z)) {
-      this.data[x][y][z].id = id;
+      const section = this.getSection(y);
+      section.setBlockId(x, y - section.minY, z, id);
     }
   }
 
@@ -215,11 +481,12 @@ export class WorldChunk extends THREE.Group {
    * @param {number} x
    * @param {number} y
    * @param {number} z
-   * @param {number} instanceId
+   * @param {number | null} instanceId
    */
   setBlockInstanceId(x, y, z, instanceId) {
     if (this.inBounds(x, y, z)) {
-      this.data[x][y][z].instanceId = instanceId;
+      const section = this.getSection(y);
+      section.setBlockInstanceId(x, y - section.minY, z, instanceId);
     }
   }
 
@@ -253,21 +520,25 @@ export class WorldChunk extends THREE.Group {
    * @returns {boolean}
    */
   isBlockObscured(x, y, z) {
-    const up = this.getBlock(x, y + 1, z)?.id ?? blocks.empty.id;
-    const down = this.getBlock(x, y - 1, z)?.id ?? blocks.empty.id;
-    const left = this.getBlock(x + 1, y, z)?.id ?? blocks.empty.id;
-    const right = this.getBlock(x - 1, y, z)?.id ?? blocks.empty.id;
-    const forward = this.getBlock(x, y, z + 1)?.id ?? blocks.empty.id;
-    const back = this.getBlock(x, y, z - 1)?.id ?? blocks.empty.id;
-
-    // If any of the block's sides is exposed, it is not obscured
+    // Plants never cover a whole face, so they can't be hidden either
+    if (isCross(this.getBlockId(x, y, z))) return false;
+
+    const up = this.getBlockId(x, y + 1, z) ?? blocks.empty.id;
+    const down = this.getBlockId(x, y - 1, z) ?? blocks.empty.id;
+    const left = this.getBlockId(x + 1, y, z) ?? blocks.empty.id;
+    const right = this.getBlockId(x - 1, y, z) ?? blocks.empty.id;
+    const forward = this.getBlockId(x, y, z + 1) ?? blocks.empty.id;
+    const back = this.getBlockId(x, y, z - 1) ?? blocks.empty.id;
+
+    // If any of the block's sides can be seen through a neighbor, it is
+    // not obscured
     if (
-      up === blocks.empty.id ||
-      down === blocks.empty.id ||
-      left === blocks.empty.id ||
-      right === blocks.empty.id ||
-      forward === blocks.empty.id ||
-      back === blocks.empty.id
+      !isOpaque(up) ||
+      !isOpaque(down) ||
+      !isOpaque(left) ||
+      !isOpaque(right) ||
+      !isOpaque(forward) ||
+      !isOpaque(back)
     ) {
       return false;
     } else {
@@ -276,9 +547,11 @@ export class WorldChunk extends THREE.Group {
   }
 
   disposeChildren() {
-    this.traverse((obj) => {
-      if (obj.dispose) obj.dispose();
-    });
+    this.dirtySections.clear();
+    for (const section of this.sections) {
+      section.disposeChildren();
+    }
+    this.sections = [];
     this.clear();
   }
 }
@@ -0,0 +1,174 @@
+/**
+ * Records every block the player has added or removed, keyed by the
+ * coordinates of the chunk containing the block and the block's position
+ * within that chunk. Chunks are regenerated from noise whenever they are
+ * loaded, so these changes are re-applied on top of the generated terrain.
+ *
+ * Complete block data for a chunk can also be stored (e.g. when importing a
+ * world file), in which case it is used in place of the generated terrain.
+ */
+export class WorldDataStore {
+  /**
+   * Block changes grouped by chunk
+   * @type {Object<string, Object<string, number>>}
+   */
+  data = {};
+
+  /**
+   * Complete block ids for chunks that should not be generated from noise
+   * @type {Object<string, Uint16Array>}
+   */
+  chunks = {};
+
+  /**
+   * @param {number} chunkWidth Width of the chunks the changes are grouped by
+   */
+  constructor(chunkWidth) {
+    this.chunkWidth = chunkWidth;
+  }
+
+  /**
+   * Removes all recorded changes and chunk data
+   */
+  clear() {
+    this.data = {};
+    this.chunks = {};
+  }
+
+  /**
+   * Returns true if a change has been recorded for the block at
+   * (blockX, blockY, blockZ) in the chunk at (chunkX, chunkZ)
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {number} blockX
+   * @param {number} blockY
+   * @param {number} blockZ
+   * @returns {boolean}
+   */
+  contains(chunkX, chunkZ, blockX, blockY, blockZ) {
+    return this.get(chunkX, chunkZ, blockX, blockY, blockZ) !== undefined;
+  }
+
+  /**
+   * Returns the block id recorded for the block at (blockX, blockY, blockZ)
+   * in the chunk at (chunkX, chunkZ), or undefined if it hasn't changed
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {number} blockX
+   * @param {number} blockY
+   * @param {number} blockZ
+   * @returns {number | undefined}
+   */
+  get(chunkX, chunkZ, blockX, blockY, blockZ) {
+    const chunkChanges = this.data[this.getChunkKey(chunkX, chunkZ)];
+    return chunkChanges?.[this.getBlockKey(blockX, blockY, blockZ)];
+  }
+
+  /**
+   * Records the block id for the block at (blockX, blockY, blockZ)
+   * in the chunk at (chunkX, chunkZ)
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {number} blockX
+   * @param {number} blockY
+   * @param {number} blockZ
+   * @param {number} blockId
+   */
+  set(chunkX, chunkZ, blockX, blockY, blockZ, blockId) {
+    const chunkKey = this.getChunkKey(chunkX, chunkZ);
+    if (!this.data[chunkKey]) {
+      this.data[chunkKey] = {};
+    }
+    this.data[chunkKey][this.getBlockKey(blockX, blockY, blockZ)] = blockId;
+  }
+
+  /**
+   * Returns all of the changes recorded for the chunk at (chunkX, chunkZ)
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {{ x: number, y: number, z: number, blockId: number }[]}
+   */
+  getChunkChanges(chunkX, chunkZ) {
+    const chunkChanges = this.data[this.getChunkKey(chunkX, chunkZ)] ?? {};
+    return Object.entries(chunkChanges).map(([blockKey, blockId]) => {
+      const [x, y, z] = blockKey.split(",").map(Number);
+      return { x, y, z, blockId };
+    });
+  }
+
+  /**
+   * Moves the recorded changes into the chunks that contain them after the
+   * chunk width changes, so they stay at the same place in the world.
+   * Complete block data can't be split up like this, so it is only used
+   * again once the chunks are back to the size it was stored with.
+   * @param {number} newWidth
+   */
+  changeChunkWidth(newWidth) {
+    const oldWidth = this.chunkWidth;
+    this.chunkWidth = newWidth;
+
+    const changes = Object.keys(this.data).flatMap((chunkKey) => {
+      const [chunkX, chunkZ] = chunkKey.split(",").map(Number);
+      return this.getChunkChanges(chunkX, chunkZ).map((change) => ({
+        ...change,
+        x: chunkX * oldWidth + change.x,
+        z: chunkZ * oldWidth + change.z,
+      }));
+    });
+
+    this.data = {};
+    for (const { x, y, z, blockId } of changes) {
+      const chunkX = Math.floor(x / newWidth);
+      const chunkZ = Math.floor(z / newWidth);
+      this.set(
+        chunkX,
+        chunkZ,
+        x - chunkX * newWidth,
+        y,
+        z - chunkZ * newWidth,
+        blockId
+      );
+    }
+  }
+
+  /**
+   * Returns the complete block ids stored for the chunk at (chunkX, chunkZ),
+   * or undefined if the chunk should be generated
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {Uint16Array | undefined}
+   */
+  getChunkData(chunkX, chunkZ) {
+    return this.chunks[this.getChunkKey(chunkX, chunkZ)];
+  }
+
+  /**
+   * Stores the complete block ids for the chunk at (chunkX, chunkZ). The ids
+   * are ordered by x, then y, then z, the same as `WorldChunk.getBlockIds`.
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {Uint16Array} blockIds
+   */
+  setChunkData(chunkX, chunkZ, blockIds) {
+    this.chunks[this.getChunkKey(chunkX, chunkZ)] = blockIds;
+  }
+
+  /**
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {string}
+   */
+  getChunkKey(chunkX, chunkZ) {
+    return `${chunkX},${chunkZ}`;
+  }
+
+  /**
+   * @param {number} blockX
+   * @param {number} blockY
+   * @param {number} blockZ
+   * @returns {string}
+   */
+  getBlockKey(blockX, blockY, blockZ) {
+    return `${blockX},${blockY},${blockZ}`;
+  }
+}
@@ -0,0 +1,369 @@
+import { blocks } from "./blocks";
+import { World } from "./world";
+
+/**
+ * Identifies a JSCraft world file ("JSCW")
+ */
+const MAGIC = [0x4a, 0x53, 0x43, 0x57];
+
+/**
+ * Current version of the file format. Increment this whenever the
+ * layout below or the world `params` change. Files from older versions
+ * can't be imported, since their terrain would be generated differently.
+ *
+ * Layout (all numbers little-endian):
+ *  - magic           4 bytes "JSCW"
+ *  - version         u16
+ *  - settingsLength  u32, followed by that many bytes of UTF-8 JSON
+ *                    containing the world `params`, including the biomes,
+ *                    and the `timeOfDay`
+ *  - chunkWidth      u16
+ *  - chunkHeight     u16
+ *  - chunkCount      u32, followed by that many chunks:
+ *      - x, z        i32, i32
+ *      - runCount    u32, followed by that many runs of block ids
+ *                    ordered by x, then y, then z:
+ *          - blockId u16
+ *          - length  u32
+ *  - changeCount     u32, followed by that many player changes:
+ *      - chunkX, chunkZ           i32, i32
+ *      - blockX, blockY, blockZ   u16, u16, u16
+ *      - blockId                  u16
+ */
+export const WORLD_FILE_VERSION = 2;
+
+export const WORLD_FILE_EXTENSION = ".jscraft";
+
+/**
+ * Thrown when a world file cannot be read
+ */
+export class WorldFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WorldFileError";
+  }
+}
+
+/**
+ * Appends values to a growable little-endian byte buffer
+ */
+class BinaryWriter {
+  #bytes = new Uint8Array(1024);
+  #view = new DataView(this.#bytes.buffer);
+  length = 0;
+
+  #reserve(byteCount) {
+    if (this.length + byteCount <= this.#bytes.length) return;
+
+    let capacity = this.#bytes.length * 2;
+    while (capacity < this.length + byteCount) capacity *= 2;
+
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.#bytes);
+    this.#bytes = bytes;
+    this.#view = new DataView(bytes.buffer);
+  }
+
+  writeBytes(bytes) {
+    this.#reserve(bytes.length);
+    this.#bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  writeUint16(value) {
+    this.#reserve(2);
+    this.#view.setUint16(this.length, value, true);
+    this.length += 2;
+  }
+
+  writeUint32(value) {
+    this.#reserve(4);
+    this.#view.setUint32(this.length, value, true);
+    this.length += 4;
+  }
+
+  writeInt32(value) {
+    this.#reserve(4);
+    this.#view.setInt32(this.length, value, true);
+    this.length += 4;
+  }
+
+  /**
+   * @returns {ArrayBuffer}
+   */
+  toArrayBuffer() {
+    return this.#bytes.buffer.slice(0, this.length);
+  }
+}
+
+/**
+ * Reads little-endian values from a byte buffer, throwing a WorldFileError
+ * if the buffer ends early
+ */
+class BinaryReader {
+  offset = 0;
+
+  /**
+   * @param {ArrayBuffer} buffer
+   */
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+  }
+
+  get remaining() {
+    return this.view.byteLength - this.offset;
+  }
+
+  #advance(byteCount) {
+    if (byteCount > this.remaining) {
+      throw new WorldFileError(
+        "The world file is truncated or corrupt (unexpected end of file)"
+      );
+    }
+    const offset = this.offset;
+    this.offset += byteCount;
+    return offset;
+  }
+
+  readBytes(byteCount) {
+    const offset = this.#advance(byteCount);
+    return new Uint8Array(this.view.buffer, offset, byteCount);
+  }
+
+  readUint16() {
+    return this.view.getUint16(this.#advance(2), true);
+  }
+
+  readUint32() {
+    return this.view.getUint32(this.#advance(4), true);
+  }
+
+  readInt32() {
+    return this.view.getInt32(this.#advance(4), true);
+  }
+}
+
+/**
+ * Packs the world generation settings, the time of day, the block data of
+ * every loaded chunk and all of the player's changes into a binary world file
+ * @param {World} world
+ * @param {number} timeOfDay
+ * @returns {ArrayBuffer}
+ */
+export function encodeWorld(world, timeOfDay) {
+  const writer = new BinaryWriter();
+
+  writer.writeBytes(MAGIC);
+  writer.writeUint16(WORLD_FILE_VERSION);
+
+  const settings = new TextEncoder().encode(
+    JSON.stringify({
+      params: world.params,
+      timeOfDay,
+    })
+  );
+  writer.writeUint32(settings.length);
+  writer.writeBytes(settings);
+
+  writer.writeUint16(world.chunkSize.width);
+  writer.writeUint16(world.chunkSize.height);
+
+  const chunks = world.children.filter((chunk) => chunk.loaded);
+  writer.writeUint32(chunks.length);
+  for (const chunk of chunks) {
+    writer.writeInt32(chunk.userData.x);
+    writer.writeInt32(chunk.userData.z);
+
+    const runs = encodeRuns(chunk.getBlockIds());
+    writer.writeUint32(runs.length);
+    for (const { blockId, length } of runs) {
+      writer.writeUint16(blockId);
+      writer.writeUint32(length);
+    }
+  }
+
+  const changes = Object.keys(world.dataStore.data).flatMap((chunkKey) => {
+    const [chunkX, chunkZ] = chunkKey.split(",").map(Number);
+    return world.dataStore
+      .getChunkChanges(chunkX, chunkZ)
+      .map((change) => ({ chunkX, chunkZ, ...change }));
+  });
+  writer.writeUint32(changes.length);
+  for (const { chunkX, chunkZ, x, y, z, blockId } of changes) {
+    writer.writeInt32(chunkX);
+    writer.writeInt32(chunkZ);
+    writer.writeUint16(x);
+    writer.writeUint16(y);
+    writer.writeUint16(z);
+    writer.writeUint16(blockId);
+  }
+
+  return writer.toArrayBuffer();
+}
+
+/**
+ * Reads a binary world file created by `encodeWorld`. The file is validated
+ * completely before anything is returned, so a WorldFileError leaves the
+ * current world untouched.
+ * @param {ArrayBuffer} buffer
+ * @param {{ width: number, height: number }} chunkSize The chunk size of the
+ * world the file is being imported into
+ * @returns {{
+ *  params: object,
+ *  timeOfDay: number,
+ *  chunks: { x: number, z: number, blockIds: Uint16Array }[],
+ *  changes: { chunkX: number, chunkZ: number, x: number, y: number, z: number, blockId: number }[]
+ * }}
+ */
+export function decodeWorld(buffer, chunkSize) {
+  const reader = new BinaryReader(buffer);
+
+  const magic = reader.remaining >= MAGIC.length ? reader.readBytes(4) : [];
+  if (!MAGIC.every((byte, i) => magic[i] === byte)) {
+    throw new WorldFileError("This is not a JSCraft world file");
+  }
+
+  const version = reader.readUint16();
+  if (version < WORLD_FILE_VERSION) {
+    throw new WorldFileError(
+      `The world file is from an older version of JSCraft (version ${version}, expected version ${WORLD_FILE_VERSION}) and can no longer be imported`
+    );
+  }
+  if (version !== WORLD_FILE_VERSION) {
+    throw new WorldFileError(
+      `Unsupported world file version ${version} (expected version ${WORLD_FILE_VERSION})`
+    );
+  }
+
+  let settings;
+  try {
+    const settingsBytes = reader.readBytes(reader.readUint32());
+    settings = JSON.parse(new TextDecoder().decode(settingsBytes));
+  } catch (error) {
+    if (error instanceof WorldFileError) throw error;
+    throw new WorldFileError("The world settings in the file are corrupt");
+  }
+  if (!isPlainObject(settings) || !isPlainObject(settings.params)) {
+    throw new WorldFileError("The world settings in the file are corrupt");
+  }
+
+  const { timeOfDay } = settings;
+  if (!(Number.isFinite(timeOfDay) && timeOfDay >= 0 && timeOfDay <= 24)) {
+    throw new WorldFileError("The world file has an invalid time of day");
+  }
+
+  const width = reader.readUint16();
+  const height = reader.readUint16();
+  if (width !== chunkSize.width) {
+    throw new WorldFileError(
+      `The world file has a chunk width of ${width}, but the current chunk width is ${chunkSize.width}`
+    );
+  }
+  if (height !== chunkSize.height) {
+    throw new WorldFileError(
+      `The world file has a chunk height of ${height}, but the current chunk height is ${chunkSize.height}`
+    );
+  }
+
+  const validIds = new Set(Object.values(blocks).map(({ id }) => id));
+  const validateBlockId = (blockId) => {
+    if (!validIds.has(blockId)) {
+      throw new WorldFileError(
+        `The world file contains unknown block id ${blockId}`
+      );
+    }
+  };
+
+  const blockCount = width * width * height;
+  const chunks = [];
+  const chunkCount = reader.readUint32();
+  for (let i = 0; i < chunkCount; i++) {
+    const x = reader.readInt32();
+    const z = reader.readInt32();
+
+    const blockIds = new Uint16Array(blockCount);
+    let offset = 0;
+    const runCount = reader.readUint32();
+    for (let j = 0; j < runCount; j++) {
+      const blockId = reader.readUint16();
+      const length = reader.readUint32();
+      validateBlockId(blockId);
+
+      if (offset + length > blockCount) {
+        throw new WorldFileError(
+          `Chunk (${x}, ${z}) contains more than the ${blockCount} blocks expected for its size`
+        );
+      }
+      blockIds.fill(blockId, offset, offset + length);
+      offset += length;
+    }
+
+    if (offset !== blockCount) {
+      throw new WorldFileError(
+        `Chunk (${x}, ${z}) contains ${offset} blocks, but ${blockCount} were expected for its size`
+      );
+    }
+
+    chunks.push({ x, z, blockIds });
+  }
+
+  const changes = [];
+  const changeCount = reader.readUint32();
+  for (let i = 0; i < changeCount; i++) {
+    const change = {
+      chunkX: reader.readInt32(),
+      chunkZ: reader.readInt32(),
+      x: reader.readUint16(),
+      y: reader.readUint16(),
+      z: reader.readUint16(),
+      blockId: reader.readUint16(),
+    };
+    validateBlockId(change.blockId);
+    changes.push(change);
+  }
+
+  if (reader.remaining !== 0) {
+    throw new WorldFileError(
+      "The world file is corrupt (unexpected data after the end of the world)"
+    );
+  }
+
+  return {
+    params: settings.params,
+    timeOfDay,
+    chunks,
+    changes,
+  };
+}
+
+/**
+ * Returns true if `value` is an object created by an object literal or
+ * `JSON.parse`, rather than null, an array or a primitive
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+/**
+ * Run-length encodes a list of block ids
+ * @param {Uint16Array} blockIds
+ * @returns {{ blockId: number, length: number }[]}
+ */
+function encodeRuns(blockIds) {
+  const runs = [];
+  for (const blockId of blockIds) {
+    const run = runs[runs.length - 1];
+    if (run && run.blockId === blockId) {
+      run.length++;
+    } else {
+      runs.push({ blockId, length: 1 });
+    }
+  }
+  return runs;
+}
@@ -0,0 +1,246 @@
+import { blocks } from "./blocks.js";
+import { isOpaque } from "./chunkMesher.js";
+import {
+  blockLight,
+  fullSkyLight,
+  getLightEmission,
+  getLightLevel,
+  maxLightLevel,
+  removeLight,
+  skyLight,
+  spreadLight,
+} from "./lighting.js";
+
+// Offsets to the six blocks next to a block
+const neighborOffsets = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
+
+/**
+ * Keeps the light of the loaded chunks up to date. Each chunk lights itself
+ * when it is generated, then this spreads light across the borders between
+ * chunks as they load, and relights the area around blocks as they change.
+ * Sections whose light changed are marked dirty so their meshes are rebuilt.
+ */
+export class WorldLighting {
+  /**
+   * @param {import("./world.js").World} world
+   */
+  constructor(world) {
+    this.world = world;
+
+    /**
+     * Chunk returned by the last call to `getChunkAt`. Cleared before every
+     * update since chunks can be unloaded in between.
+     * @type {import("./worldChunk.js").WorldChunk | null}
+     */
+    this.cachedChunk = null;
+
+    /**
+     * Light of the blocks in every loaded chunk, in world coordinates
+     * @type {import("./lighting.js").LightAccess}
+     */
+    this.access = {
+      getBlockId: (x, y, z) => {
+        const chunk = this.getChunkAt(x, y, z);
+        if (!chunk) return null;
+        return chunk.getBlockId(x - chunk.position.x, y, z - chunk.position.z);
+      },
+      getLight: (x, y, z) => this.getLight(x, y, z) ?? 0,
+      setLight: (x, y, z, light) => this.setLight(x, y, z, light),
+    };
+  }
+
+  /**
+   * Returns the loaded chunk containing the block at (x, y, z), or null
+   * if there isn't one
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {import("./worldChunk.js").WorldChunk | null}
+   */
+  getChunkAt(x, y, z) {
+    const { width, height } = this.world.chunkSize;
+    if (y < 0 || y >= height) return null;
+
+    // Light spreads through the same chunk many times in a row, so the
+    // last chunk is remembered to avoid looking it up every time
+    const chunkX = Math.floor(x / width);
+    const chunkZ = Math.floor(z / width);
+    const cached = this.cachedChunk;
+    if (
+      cached &&
+      cached.userData.x === chunkX &&
+      cached.userData.z === chunkZ
+    ) {
+      return cached;
+    }
+
+    const chunk = this.world.getChunk(chunkX, chunkZ);
+    this.cachedChunk = chunk?.loaded ? chunk : null;
+    return this.cachedChunk;
+  }
+
+  /**
+   * Returns the light of the block at (x, y, z), or null if its chunk
+   * isn't loaded
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number | null}
+   */
+  getLight(x, y, z) {
+    const chunk = this.getChunkAt(x, y, z);
+    if (!chunk) return null;
+    return chunk.getLight(x - chunk.position.x, y, z - chunk.position.z);
+  }
+
+  /**
+   * Sets the light of the block at (x, y, z) and marks the sections that
+   * are lit by it as dirty. Blocks on the side of a chunk also light the
+   * faces of the neighboring chunk.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} light
+   */
+  setLight(x, y, z, light) {
+    const chunk = this.getChunkAt(x, y, z);
+    if (!chunk) return;
+
+    const blockX = x - chunk.position.x;
+    const blockZ = z - chunk.position.z;
+    chunk.setLight(blockX, y, blockZ, light);
+    chunk.markSectionsDirty(y);
+
+    const { width } = this.world.chunkSize;
+    if (blockX === 0) this.getChunkAt(x - 1, y, z)?.markSectionsDirty(y);
+    if (blockX === width - 1)
+      this.getChunkAt(x + 1, y, z)?.markSectionsDirty(y);
+    if (blockZ === 0) this.getChunkAt(x, y, z - 1)?.markSectionsDirty(y);
+    if (blockZ === width - 1)
+      this.getChunkAt(x, y, z + 1)?.markSectionsDirty(y);
+  }
+
+  /**
+   * Relights the area around the block at (x, y, z) after it has changed.
+   * The light that passed through the block is removed, then light from
+   * the surrounding blocks (and the block itself, if it gives off light)
+   * is spread back in.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   */
+  updateBlock(x, y, z) {
+    this.cachedChunk = null;
+    const blockId = this.access.getBlockId(x, y, z);
+    if (blockId === null) return;
+
+    for (const channel of [skyLight, blockLight]) {
+      const light = this.access.getLight(x, y, z);
+      const level = getLightLevel(light, channel);
+
+      // Darken the block, along with everything that was lit through it
+      this.setLight(x, y, z, light & ~(maxLightLevel << channel));
+      const refill = removeLight([x, y, z, level], channel, this.access);
+
+      const emission = channel === blockLight ? getLightEmission(blockId) : 0;
+      if (emission > 0) {
+        const darkened = this.access.getLight(x, y, z);
+        this.setLight(x, y, z, darkened | (emission << channel));
+        refill.push(x, y, z);
+      }
+      for (const [dx, dy, dz] of neighborOffsets) {
+        refill.push(x + dx, y + dy, z + dz);
+      }
+
+      spreadLight(refill, channel, this.access);
+    }
+  }
+
+  /**
+   * Spreads light across the borders between a chunk that just loaded and
+   * its loaded neighbors, in both directions. Faces on the side of a chunk
+   * were lit as if the neighboring chunk was open to the sky when they were
+   * meshed, so the sections where that turned out to be wrong are rebuilt.
+   * @param {import("./worldChunk.js").WorldChunk} chunk
+   */
+  updateChunkBorders(chunk) {
+    this.cachedChunk = null;
+    const { width, height } = this.world.chunkSize;
+    const { x: chunkX, z: chunkZ } = chunk.position;
+
+    // Pairs of blocks on either side of the borders with the loaded
+    // neighbors, as (x, z, neighbor x, neighbor z)
+    const borderColumns = [];
+    const sides = [
+      [-1, 0],
+      [1, 0],
+      [0, -1],
+      [0, 1],
+    ];
+    for (const [dx, dz] of sides) {
+      const neighbor = this.getChunkAt(
+        chunkX + dx * width,
+        0,
+        chunkZ + dz * width
+      );
+      if (!neighbor) continue;
+
+      for (let i = 0; i < width; i++) {
+        const x = chunkX + (dx === 0 ? i : dx > 0 ? width - 1 : 0);
+        const z = chunkZ + (dz === 0 ? i : dz > 0 ? width - 1 : 0);
+        borderColumns.push([x, z, x + dx, z + dz]);
+      }
+    }
+
+    const skyQueue = [];
+    const blockQueue = [];
+    for (const [x, z, neighborX, neighborZ] of borderColumns) {
+      for (let y = 0; y < height; y++) {
+        for (const [bx, bz] of [
+          [x, z],
+          [neighborX, neighborZ],
+        ]) {
+          const light = this.access.getLight(bx, y, bz);
+          if (getLightLevel(light, skyLight) > 1) skyQueue.push(bx, y, bz);
+          if (getLightLevel(light, blockLight) > 1) blockQueue.push(bx, y, bz);
+        }
+      }
+    }
+    spreadLight(skyQueue, skyLight, this.access);
+    spreadLight(blockQueue, blockLight, this.access);
+
+    for (const [x, z, neighborX, neighborZ] of borderColumns) {
+      for (let y = 0; y < height; y++) {
+        this.checkBorderFace(x, y, z, neighborX, neighborZ);
+        this.checkBorderFace(neighborX, y, neighborZ, x, z);
+      }
+    }
+  }
+
+  /**
+   * Marks the section containing the block at (x, y, z) as dirty if the
+   * face it shows towards the block at (neighborX, y, neighborZ), in the
+   * next chunk over, is lit differently than when it was meshed. Faces
+   * behind opaque blocks can't be seen, so they are left alone.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} neighborX
+   * @param {number} neighborZ
+   */
+  checkBorderFace(x, y, z, neighborX, neighborZ) {
+    if (this.access.getBlockId(x, y, z) === blocks.empty.id) return;
+    if (isOpaque(this.access.getBlockId(neighborX, y, neighborZ))) return;
+    if (this.access.getLight(neighborX, y, neighborZ) === fullSkyLight) return;
+
+    const chunk = this.getChunkAt(x, y, z);
+    chunk.dirtySections.add(chunk.getSection(y));
+  }
+}